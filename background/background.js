@@ -1,222 +1,2459 @@
 // Background service worker for handling storage and communication
+importScripts(
+  "../shared/highlight-colors.js",
+  "../shared/tag-utils.js",
+  "utils/highlight-merge.js",
+  "utils/idb-store.js",
+  "utils/highlight-store.js",
+  "utils/write-queue.js",
+  "utils/text-utils.js",
+  "utils/markdown-exporter.js",
+  "utils/zip-writer.js",
+  "utils/vault-exporter.js",
+  "utils/csv-format.js",
+  "utils/web-annotation.js",
+  "utils/kindle-clippings.js",
+  "utils/import-merge.js",
+  "utils/export-schema.js",
+  "utils/backup-crypto.js",
+  "utils/snapshot-store.js",
+  "utils/sync-client.js",
+  "utils/storage-sync-mirror.js",
+  "utils/ai-providers.js"
+);
+
 class BackgroundService {
+  // Actions that change stored data; they run one at a time in arrival order
+  static WRITE_ACTIONS = new Set([
+    "saveHighlight",
+    "updateHighlight",
+    "deleteHighlight",
+    "clearAllHighlights",
+    "importHighlights",
+    "reportAnchoringStatus",
+    "reattachHighlight",
+    "renameTag",
+    "deleteTag",
+    "createCollection",
+    "updateCollection",
+    "deleteCollection",
+    "addToCollection",
+    "removeFromCollection",
+    "saveColorLabels",
+    "restoreHighlights",
+    "purgeHighlights",
+    "emptyTrash",
+    "saveTrashSettings",
+    "undoLastAction",
+    "createBackupSnapshot",
+    "restoreBackupSnapshot",
+    "deleteBackupSnapshot",
+    "saveBackupSettings",
+    "saveSyncSettings",
+    "saveBrowserSyncSettings",
+    "configureAIService",
+  ]);
+
+  // Write actions that only change device-local data, so they don't start
+  // a sync
+  static LOCAL_ACTIONS = new Set(["reportAnchoringStatus"]);
+
+  // Whether a highlight was found on its page is one browser's view of one
+  // tab, so these fields stay on the device and are never synced
+  static LOCAL_FIELDS = ["orphaned", "lastSeen"];
+
+  // Undo types of the imports that only add to the library, by format
+  static IMPORT_UNDO_TYPES = { readwise: "importCsv", kindle: "importKindle" };
+
+  static DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+  // Tombstones of highlights deleted for good are kept this long, so
+  // browsers that sync less often still learn about the delete
+  static TOMBSTONE_DAYS = 90;
+
+  // Automatic backups: how often they run (in minutes) and how many are kept
+  static BACKUP_ALARM = "scheduledBackup";
+  static BACKUP_PERIODS = { daily: 24 * 60, weekly: 7 * 24 * 60 };
+  static DEFAULT_BACKUP_SETTINGS = { frequency: "daily", keep: 7 };
+  static MAX_BACKUP_SNAPSHOTS = 30;
+
+  // Sync with a self-hosted server; changes are pushed shortly after they
+  // are made and the alarm picks up changes from other browsers
+  static SYNC_ALARM = "sync";
+  static SYNC_DELAY = 5000;
+  static SYNC_INTERVALS = [5, 15, 30, 60];
+  static DEFAULT_SYNC_SETTINGS = {
+    enabled: false,
+    url: "",
+    token: "",
+    intervalMinutes: 15,
+  };
+
+  // AI summaries: the provider used, and each provider's own settings
+  // ({ apiKey, model, baseUrl }) so switching back and forth keeps them
+  static DEFAULT_AI_SETTINGS = {
+    provider: "openai",
+    maxTokens: 150,
+    temperature: 0.8,
+    providers: {},
+  };
+
+  // Content scripts stream summaries over ports with this name
+  static SUMMARY_PORT = "summarize";
+
   constructor() {
+    this.store = new HighlightStore();
+    this.snapshots = new SnapshotStore();
+    this.writes = new WriteQueue();
+    // Summaries in progress: requestId -> AbortController
+    this.aiRequests = new Map();
     this.init();
   }
 
   init() {
+    // Move any highlights left in chrome.storage.local into IndexedDB
+    // before the first request is served
+    this.ready = this.writes.run(async () => {
+      await this.performMigrationIfNeeded();
+      // Writes from here on stamp revision clocks. Migrations don't: they
+      // change how highlights are stored, not what they say
+      this.store.device = await this.getDeviceId();
+      await this.purgeExpiredTrash();
+      await this.purgeOldTombstones();
+    });
+    this.ready.then(() => {
+      this.scheduleBackups();
+      this.scheduleSync();
+    });
+
+    // Alarms wake the service worker, so the listener is added right away
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      let task;
+      if (alarm.name === BackgroundService.BACKUP_ALARM) {
+        task = () =>
+          this.writes.run(() => this.createBackupSnapshot("scheduled"));
+      } else if (alarm.name === BackgroundService.SYNC_ALARM) {
+        task = () => this.syncIfEnabled();
+      } else {
+        return;
+      }
+
+      this.ready.then(task).catch(() => {
+        // Already logged; the next alarm tries again
+      });
+    });
+
+    // Another browser updated the chrome.storage.sync mirror
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "sync" && changes[StorageSyncMirror.META_KEY]) {
+        this.ready
+          .then(() =>
+            this.pullStorageSyncIfEnabled(
+              changes[StorageSyncMirror.META_KEY].newValue
+            )
+          )
+          .catch(() => {
+            // Already logged; the next mirror picks the changes up
+          });
+      }
+    });
+
     // Listen for messages from content scripts and popup
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       this.handleMessage(request, sender, sendResponse);
       return true; // Keep message channel open for async response
     });
 
-    // Handle extension installation
-    chrome.runtime.onInstalled.addListener((details) => {
-      this.handleInstallation(details);
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === BackgroundService.SUMMARY_PORT) {
+        this.handleSummaryPort(port);
+      }
+    });
+
+    // Handle extension installation
+    chrome.runtime.onInstalled.addListener((details) => {
+      this.handleInstallation(details);
+    });
+  }
+
+  async handleMessage(request, sender, sendResponse) {
+    try {
+      await this.ready;
+
+      // Writers never call each other through the queue, so a queued
+      // action can't wait on itself
+      if (BackgroundService.WRITE_ACTIONS.has(request.action)) {
+        await this.writes.run(() =>
+          this.routeMessage(request, sender, sendResponse)
+        );
+        if (!BackgroundService.LOCAL_ACTIONS.has(request.action)) {
+          this.requestSync();
+        }
+      } else {
+        await this.routeMessage(request, sender, sendResponse);
+      }
+    } catch (error) {
+      console.error("Background service error:", error);
+      sendResponse({
+        success: false,
+        error: error.message || "Unknown error occurred",
+        code: error.code,
+      });
+    }
+  }
+
+  async routeMessage(request, sender, sendResponse) {
+    switch (request.action) {
+      case "saveHighlight":
+        const savedHighlight = await this.saveHighlight(
+          request.highlight,
+          request.collectionId
+        );
+        sendResponse({ success: true, highlight: savedHighlight });
+        break;
+
+      case "getHighlights":
+        const highlights = await this.getHighlights();
+        sendResponse({ success: true, highlights });
+        break;
+
+      case "updateHighlight":
+        const updatedHighlight = await this.updateHighlight(
+          request.highlightId,
+          request.updates
+        );
+        sendResponse({ success: true, highlight: updatedHighlight });
+        break;
+
+      case "deleteHighlight":
+        const deleteUndo = await this.deleteHighlight(
+          request.highlightId || request.id
+        );
+        sendResponse({ success: true, undo: deleteUndo });
+        break;
+
+      case "clearAllHighlights":
+        const clearUndo = await this.clearAllHighlights();
+        sendResponse({ success: true, undo: clearUndo });
+        break;
+
+      case "exportHighlights":
+        const exportFile = await this.exportHighlights(request);
+        sendResponse({ success: true, file: exportFile });
+        break;
+
+      case "importHighlights":
+        const importUndo = await this.importHighlights(request.highlights, {
+          format: request.format,
+          mode: request.mode,
+          resolutions: request.resolutions,
+        });
+        sendResponse({ success: true, undo: importUndo });
+        break;
+
+      case "previewImport":
+        const preview = await this.previewImport(
+          request.highlights,
+          request.format
+        );
+        sendResponse({ success: true, preview });
+        break;
+
+      case "decryptBackup":
+        const backup = await this.decryptBackup(
+          request.backup,
+          request.passphrase
+        );
+        sendResponse({ success: true, data: backup });
+        break;
+
+      case "getBackupSnapshots":
+        const backups = await this.getBackupSnapshots();
+        sendResponse({ success: true, ...backups });
+        break;
+
+      case "createBackupSnapshot":
+        const snapshot = await this.createBackupSnapshot("manual");
+        sendResponse({ success: true, snapshot });
+        break;
+
+      case "exportBackupSnapshot":
+        const snapshotFile = await this.exportBackupSnapshot(
+          request.snapshotId
+        );
+        sendResponse({ success: true, file: snapshotFile });
+        break;
+
+      case "restoreBackupSnapshot":
+        const restoreUndo = await this.restoreBackupSnapshot(
+          request.snapshotId
+        );
+        sendResponse({ success: true, undo: restoreUndo });
+        break;
+
+      case "deleteBackupSnapshot":
+        await this.deleteBackupSnapshot(request.snapshotId);
+        sendResponse({ success: true });
+        break;
+
+      case "saveBackupSettings":
+        const backupSettings = await this.saveBackupSettings(request.settings);
+        sendResponse({ success: true, settings: backupSettings });
+        break;
+
+      case "getSyncStatus":
+        const syncStatus = await this.getSyncStatus();
+        sendResponse({ success: true, ...syncStatus });
+        break;
+
+      case "saveSyncSettings":
+        const syncSettings = await this.saveSyncSettings(request.settings);
+        sendResponse({ success: true, settings: syncSettings });
+        break;
+
+      case "syncNow":
+        const syncResult = await this.sync();
+        sendResponse({ success: true, result: syncResult });
+        break;
+
+      case "getBrowserSyncStatus":
+        const browserSync = await this.getBrowserSyncStatus();
+        sendResponse({ success: true, ...browserSync });
+        break;
+
+      case "saveBrowserSyncSettings":
+        const browserSyncSettings = await this.saveBrowserSyncSettings(
+          request.settings
+        );
+        sendResponse({ success: true, settings: browserSyncSettings });
+        break;
+
+      case "getAISettings":
+        const aiSettings = await this.getAISettings();
+        sendResponse({
+          success: true,
+          settings: aiSettings,
+          providers: AIProvider.list(),
+        });
+        break;
+
+      case "configureAIService":
+        const savedAISettings = await this.saveAISettings(request.settings);
+        sendResponse({ success: true, settings: savedAISettings });
+        break;
+
+      case "checkAIServiceStatus":
+        const aiStatus = await this.getAIServiceStatus();
+        sendResponse({ success: true, ...aiStatus });
+        break;
+
+      case "getTrash":
+        const trash = await this.getTrash();
+        sendResponse({ success: true, ...trash });
+        break;
+
+      case "restoreHighlights":
+        const restoredCount = await this.restoreHighlights(
+          request.highlightIds
+        );
+        sendResponse({ success: true, count: restoredCount });
+        break;
+
+      case "purgeHighlights":
+        const purgedCount = await this.purgeHighlights(request.highlightIds);
+        sendResponse({ success: true, count: purgedCount });
+        break;
+
+      case "emptyTrash":
+        const emptiedCount = await this.emptyTrash();
+        sendResponse({ success: true, count: emptiedCount });
+        break;
+
+      case "saveTrashSettings":
+        const retentionDays = await this.saveTrashSettings(
+          request.retentionDays
+        );
+        sendResponse({ success: true, retentionDays });
+        break;
+
+      case "undoLastAction":
+        const undoneCount = await this.undoLastAction(request.undoId);
+        sendResponse({ success: true, count: undoneCount });
+        break;
+
+      case "reportAnchoringStatus":
+        await this.updateAnchoringStatus(request.url, request.results);
+        sendResponse({ success: true });
+        break;
+
+      case "reattachHighlight":
+        const reattached = await this.reattachHighlight(
+          request.highlightId,
+          request.anchorData
+        );
+        sendResponse({ success: true, highlight: reattached });
+        break;
+
+      case "getTags":
+        const tags = await this.getTags();
+        sendResponse({ success: true, tags });
+        break;
+
+      case "renameTag":
+        const renamedCount = await this.renameTag(request.from, request.to);
+        sendResponse({ success: true, count: renamedCount });
+        break;
+
+      case "deleteTag":
+        const untaggedCount = await this.deleteTag(request.tag);
+        sendResponse({ success: true, count: untaggedCount });
+        break;
+
+      case "getCollections":
+        const collections = await this.getCollections();
+        sendResponse({ success: true, collections });
+        break;
+
+      case "createCollection":
+        const createdCollection = await this.createCollection(
+          request.collection
+        );
+        sendResponse({ success: true, collection: createdCollection });
+        break;
+
+      case "updateCollection":
+        const updatedCollection = await this.updateCollection(
+          request.collectionId,
+          request.updates
+        );
+        sendResponse({ success: true, collection: updatedCollection });
+        break;
+
+      case "deleteCollection":
+        await this.deleteCollection(request.collectionId);
+        sendResponse({ success: true });
+        break;
+
+      case "addToCollection":
+        const extendedCollection = await this.addToCollection(
+          request.collectionId,
+          request.highlightId
+        );
+        sendResponse({ success: true, collection: extendedCollection });
+        break;
+
+      case "removeFromCollection":
+        const reducedCollection = await this.removeFromCollection(
+          request.collectionId,
+          request.highlightId
+        );
+        sendResponse({ success: true, collection: reducedCollection });
+        break;
+
+      case "exportCollection":
+        const collectionData = await this.exportCollection(
+          request.collectionId
+        );
+        sendResponse({ success: true, data: collectionData });
+        break;
+
+      case "getColorLabels":
+        const colorLabels = await this.getColorLabels();
+        sendResponse({ success: true, labels: colorLabels });
+        break;
+
+      case "saveColorLabels":
+        const savedLabels = await this.saveColorLabels(request.labels);
+        sendResponse({ success: true, labels: savedLabels });
+        break;
+
+      case "summarizeHighlight":
+        const summary = await this.summarizeHighlight(request);
+        sendResponse({ success: true, summary });
+        break;
+
+      case "cancelAIRequest":
+        const cancelled = this.cancelAIRequest(request.requestId);
+        sendResponse({ success: true, cancelled });
+        break;
+
+      default:
+        console.warn("Unknown action:", request.action);
+        sendResponse({ success: false, error: "Unknown action" });
+    }
+  }
+
+  async saveHighlight(highlight, collectionId = null) {
+    if (!highlight || !highlight.text || !highlight.url) {
+      throw new Error("Invalid highlight data: missing required fields");
+    }
+
+    try {
+      // Add timestamp if not present
+      if (!highlight.timestamp) {
+        highlight.timestamp = Date.now();
+      }
+
+      // Fall back to the default color for missing or unknown colors
+      highlight.color = HighlightColors.normalize(highlight.color);
+      highlight.note = String(highlight.note || "").substring(0, 5000);
+      highlight.tags = TagUtils.normalize(highlight.tags);
+      if (!Array.isArray(highlight.selectors)) {
+        highlight.selectors = [];
+      }
+
+      // Stored highlights pass the same checks as imported ones, so every
+      // export can be imported again
+      const errors = ExportSchema.validate(highlight);
+      if (errors.length > 0) {
+        throw new Error("Invalid highlight data: " + errors.join("; "));
+      }
+
+      await this.store.put(highlight);
+
+      if (collectionId) {
+        await this.addToCollection(collectionId, highlight.id);
+      }
+
+      // Notify all tabs about the new highlight
+      this.notifyTabsAboutUpdate();
+
+      return highlight;
+    } catch (error) {
+      console.error("Failed to save highlight:", error);
+      throw new Error("Failed to save highlight: " + error.message);
+    }
+  }
+
+  // Highlights that are not in the trash
+  async getHighlights() {
+    try {
+      const highlights = await this.store.getAll();
+      return highlights.filter((h) => !h.deletedAt);
+    } catch (error) {
+      console.error("Failed to get highlights:", error);
+      throw new Error("Failed to retrieve highlights: " + error.message);
+    }
+  }
+
+  async updateHighlight(id, updates) {
+    if (!id || !updates || typeof updates !== "object") {
+      throw new Error("Invalid update data: missing required fields");
+    }
+
+    try {
+      const highlight = await this.store.update(id, (highlight) => {
+        // Only user-editable fields can be changed through this action
+        if ("note" in updates) {
+          highlight.note = String(updates.note || "").substring(0, 5000);
+        }
+        if ("color" in updates) {
+          highlight.color = HighlightColors.normalize(updates.color);
+        }
+        if ("tags" in updates) {
+          highlight.tags = TagUtils.normalize(updates.tags);
+        }
+        highlight.updatedAt = Date.now();
+      });
+
+      if (!highlight) {
+        throw new Error("No highlight found with ID: " + id);
+      }
+
+      // Notify all tabs about the update
+      this.notifyTabsAboutUpdate();
+
+      return highlight;
+    } catch (error) {
+      console.error("Failed to update highlight:", error);
+      throw new Error("Failed to update highlight: " + error.message);
+    }
+  }
+
+  async deleteHighlight(id) {
+    if (!id) {
+      throw new Error("Highlight ID is required");
+    }
+
+    try {
+      // Deleted highlights go to the trash; collections keep their ids so a
+      // restored highlight returns to the same place
+      const deletedAt = Date.now();
+      const highlight = await this.store.update(id, (highlight) => {
+        highlight.deletedAt = highlight.deletedAt || deletedAt;
+      });
+
+      if (!highlight) {
+        console.warn("No highlight found with ID:", id);
+        return null;
+      }
+
+      const undo = await this.recordUndo("delete", {
+        trashedIds: [id],
+        urls: [highlight.url],
+      });
+
+      // Notify all tabs about the update
+      this.notifyTabsAboutUpdate({ undo });
+
+      return undo;
+    } catch (error) {
+      console.error("Failed to delete highlight:", error);
+      throw new Error("Failed to delete highlight: " + error.message);
+    }
+  }
+
+  // Record which highlights were found on their page during the last visit
+  async updateAnchoringStatus(url, results) {
+    if (!url || !Array.isArray(results)) {
+      throw new Error("Invalid anchoring status data");
+    }
+
+    try {
+      const statusById = new Map(results.map((r) => [r.id, r.anchored]));
+      const now = Date.now();
+      const oneDay = 24 * 60 * 60 * 1000;
+
+      // Status changes don't affect how pages are marked, so tabs are not
+      // notified (that would re-run marking and report again)
+      await this.store.updateMany(
+        (highlight) => {
+          if (!statusById.has(highlight.id)) {
+            return false;
+          }
+
+          if (statusById.get(highlight.id)) {
+            // Refresh lastSeen at most once a day to avoid constant writes
+            if (
+              !highlight.orphaned &&
+              highlight.lastSeen &&
+              now - highlight.lastSeen <= oneDay
+            ) {
+              return false;
+            }
+            highlight.orphaned = false;
+            highlight.lastSeen = now;
+          } else {
+            if (highlight.orphaned) {
+              return false;
+            }
+            highlight.orphaned = true;
+            highlight.lastSeen = highlight.lastSeen || highlight.timestamp;
+          }
+          return true;
+        },
+        { index: "url", key: url }
+      );
+
+      return true;
+    } catch (error) {
+      console.error("Failed to update anchoring status:", error);
+      throw new Error("Failed to update anchoring status: " + error.message);
+    }
+  }
+
+  async reattachHighlight(id, anchorData) {
+    if (!id || !anchorData || !anchorData.text) {
+      throw new Error("Invalid re-attach data: missing required fields");
+    }
+
+    try {
+      const highlight = await this.store.update(id, (highlight) => {
+        Object.assign(highlight, {
+          text: anchorData.text,
+          pageText: anchorData.pageText,
+          textPosition: anchorData.textPosition,
+          selectors: anchorData.selectors || [],
+          orphaned: false,
+          lastSeen: Date.now(),
+        });
+      });
+
+      if (!highlight) {
+        throw new Error("No highlight found with ID: " + id);
+      }
+
+      // Notify all tabs about the update
+      this.notifyTabsAboutUpdate();
+
+      return highlight;
+    } catch (error) {
+      console.error("Failed to re-attach highlight:", error);
+      throw new Error("Failed to re-attach highlight: " + error.message);
+    }
+  }
+
+  async clearAllHighlights() {
+    try {
+      const highlights = await this.getHighlights();
+      const trashedIds = await this.moveToTrash(highlights.map((h) => h.id));
+      const undo = await this.recordUndo("clearAll", {
+        trashedIds,
+        urls: this.uniqueUrls(highlights),
+      });
+
+      // Notify all tabs about the update
+      this.notifyTabsAboutUpdate({ undo });
+
+      return undo;
+    } catch (error) {
+      console.error("Failed to clear highlights:", error);
+      throw new Error("Failed to clear highlights: " + error.message);
+    }
+  }
+
+  // Build a downloadable export as { filename, mimeType, content, encoding }.
+  // options.format is "json", "markdown", "vault", "csv" (options.columns
+  // picks the columns), "readwise", "webannotation" or "encrypted" (a full
+  // backup locked with options.passphrase; options.includeSummaries adds
+  // the AI summary cache). options.highlightIds
+  // (e.g. search results) or options.url (one page) narrow it down,
+  // otherwise everything is exported. Binary files are base64 encoded
+  async exportHighlights(options = {}) {
+    const format = options.format || "json";
+    const date = new Date().toISOString().split("T")[0];
+
+    try {
+      let highlights = await this.getHighlights();
+
+      if (Array.isArray(options.highlightIds)) {
+        const ids = new Set(options.highlightIds);
+        highlights = highlights.filter((h) => ids.has(h.id));
+      } else if (options.url) {
+        highlights = highlights.filter((h) => h.url === options.url);
+      }
+
+      switch (format) {
+        case "json":
+          return {
+            filename: `highlights-${date}.json`,
+            mimeType: "application/json",
+            content: JSON.stringify(ExportSchema.wrap(highlights), null, 2),
+          };
+
+        case "markdown":
+          return {
+            filename: `highlights-${date}.md`,
+            mimeType: "text/markdown",
+            content: MarkdownExporter.export(highlights, {
+              title: options.title,
+            }),
+          };
+
+        case "vault":
+          return {
+            filename: `highlights-vault-${date}.zip`,
+            mimeType: "application/zip",
+            content: BackupCrypto.toBase64(VaultExporter.export(highlights)),
+            encoding: "base64",
+          };
+
+        case "csv":
+          return {
+            filename: `highlights-${date}.csv`,
+            mimeType: "text/csv",
+            content: CsvFormat.export(highlights, options.columns),
+          };
+
+        case "readwise":
+          return {
+            filename: `highlights-readwise-${date}.csv`,
+            mimeType: "text/csv",
+            content: CsvFormat.exportReadwise(highlights),
+          };
+
+        case "webannotation":
+          return {
+            filename: `highlights-${date}.jsonld`,
+            mimeType:
+              'application/ld+json;profile="http://www.w3.org/ns/anno.jsonld"',
+            content: JSON.stringify(
+              WebAnnotation.export(highlights, { title: options.title }),
+              null,
+              2
+            ),
+          };
+
+        case "encrypted":
+          return {
+            filename: `highlights-backup-${date}.json`,
+            mimeType: "application/json",
+            content: JSON.stringify(
+              await BackupCrypto.encrypt(
+                JSON.stringify(
+                  await this.buildBackup(options.includeSummaries)
+                ),
+                options.passphrase
+              ),
+              null,
+              2
+            ),
+          };
+
+        default:
+          throw new Error("Unsupported export format: " + format);
+      }
+    } catch (error) {
+      console.error("Failed to export highlights:", error);
+      throw new Error("Failed to export highlights: " + error.message);
+    }
+  }
+
+  // Everything needed to restore the extension: highlights, collections,
+  // settings and, when asked for, cached AI summaries
+  async buildBackup(includeSummaries) {
+    const highlights = await this.getHighlights();
+    const stored = await chrome.storage.local.get([
+      "collections",
+      "colorLabels",
+      "trashRetentionDays",
+      "summaryCache",
+    ]);
+
+    return ExportSchema.wrap(highlights, {
+      collections: stored.collections || [],
+      settings: {
+        colorLabels: stored.colorLabels || {},
+        trashRetentionDays: await this.getTrashRetentionDays(),
+      },
+      ...(includeSummaries ? { summaryCache: stored.summaryCache || {} } : {}),
+    });
+  }
+
+  // Decrypt an encrypted backup so it can be previewed and imported like a
+  // JSON backup. A wrong passphrase keeps its WRONG_PASSPHRASE code
+  async decryptBackup(backup, passphrase) {
+    try {
+      return JSON.parse(await BackupCrypto.decrypt(backup, passphrase));
+    } catch (error) {
+      if (error.code) throw error;
+      console.error("Failed to decrypt backup:", error);
+      throw new Error("Failed to decrypt backup: " + error.message);
+    }
+  }
+
+  // Collections, settings and summaries from a full backup. Merging only
+  // adds what is missing; replacing takes the backup's versions
+  async restoreBackupExtras(backup, mode) {
+    if (!backup || Array.isArray(backup)) return;
+
+    const stored = await chrome.storage.local.get([
+      "collections",
+      "colorLabels",
+      "summaryCache",
+    ]);
+    const updates = {};
+
+    if (Array.isArray(backup.collections)) {
+      const highlightIds = new Set(
+        (await this.getHighlights()).map((h) => h.id)
+      );
+      const restored = backup.collections
+        .filter((c) => c && c.id && c.name)
+        .map((c) => ({
+          ...c,
+          highlightIds: (c.highlightIds || []).filter((id) =>
+            highlightIds.has(id)
+          ),
+        }));
+
+      if (mode === "replace") {
+        updates.collections = restored;
+      } else {
+        const current = stored.collections || [];
+        const known = new Set(current.map((c) => c.id));
+        updates.collections = current.concat(
+          restored.filter((c) => !known.has(c.id))
+        );
+      }
+    }
+
+    const settings = backup.settings || {};
+    if (settings.colorLabels && typeof settings.colorLabels === "object") {
+      updates.colorLabels =
+        mode === "replace"
+          ? settings.colorLabels
+          : { ...settings.colorLabels, ...(stored.colorLabels || {}) };
+    }
+    if (mode === "replace" && Number.isInteger(settings.trashRetentionDays)) {
+      await this.saveTrashSettings(settings.trashRetentionDays);
+    }
+
+    if (backup.summaryCache && typeof backup.summaryCache === "object") {
+      updates.summaryCache = {
+        ...backup.summaryCache,
+        ...(stored.summaryCache || {}),
+      };
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await chrome.storage.local.set(updates);
+    }
+  }
+
+  // Import a JSON backup, Web Annotation file, Readwise CSV or Kindle
+  // clippings file. options.format is "json", "webannotation", "readwise"
+  // or "kindle" (json and webannotation are detected when not given).
+  // options.mode "merge" (the default) adds new highlights and resolves
+  // each conflict as options.resolutions[id] says: "merge" (the default)
+  // merges the two versions field by field, "mine" or "theirs" keeps one
+  // side; "replace" makes a JSON or Web Annotation file the whole library.
+  // Either way the import can be undone
+  async importHighlights(importData, options = {}) {
+    try {
+      const undoType = BackgroundService.IMPORT_UNDO_TYPES[options.format];
+
+      if (options.mode === "replace") {
+        if (undoType) {
+          throw new Error(
+            "Only a backup or Web Annotation file can replace the library"
+          );
+        }
+        return await this.replaceWithImport(importData, options.format);
+      }
+
+      const plan = await this.planImport(importData, options.format);
+      const undo = await this.applyImportPlan(
+        plan,
+        undoType || "importMerge",
+        options.resolutions
+      );
+
+      await this.restoreBackupExtras(importData, "merge");
+
+      // Notify all tabs about the update
+      this.notifyTabsAboutUpdate({ undo });
+
+      return undo;
+    } catch (error) {
+      console.error("Failed to import highlights:", error);
+      throw new Error("Failed to import highlights: " + error.message);
+    }
+  }
+
+  // Store what an import plan adds and changes, and move the highlights it
+  // replaces to the trash. Conflicts are merged field by field unless
+  // resolutions[id] picks a side. Returns the undo record
+  async applyImportPlan(plan, undoType, resolutions = {}) {
+    const resolved = [];
+    const overwritten = [];
+    plan.conflicts.forEach((conflict) => {
+      const version = this.resolveImportConflict(
+        conflict,
+        resolutions[conflict.incoming.id] || "merge"
+      );
+      if (version) {
+        resolved.push(version);
+        overwritten.push(conflict.existing);
+      }
+    });
+
+    // The file's trash state isn't imported
+    const added = plan.added.map(({ deletedAt, ...highlight }) => highlight);
+    const writes = added.concat(resolved);
+
+    await this.store.putMany(writes);
+    const trashedIds = await this.moveToTrash(plan.replaced);
+
+    return this.recordUndo(undoType, {
+      trashedIds,
+      createdIds: added.map((h) => h.id),
+      overwritten,
+      urls: this.uniqueUrls(writes),
+    });
+  }
+
+  // The version to store for an import conflict, or null to keep ours.
+  // Either way our id is kept so collections still point to it, and an
+  // import never moves a highlight into or out of the trash
+  resolveImportConflict(conflict, resolution) {
+    const { deletedAt, ...incoming } = {
+      ...conflict.incoming,
+      id: conflict.existing.id,
+    };
+    if (conflict.existing.deletedAt) {
+      incoming.deletedAt = conflict.existing.deletedAt;
+    }
+
+    if (resolution === "theirs") return incoming;
+    if (resolution !== "merge") return null;
+
+    const merged = HighlightMerge.merge(conflict.existing, incoming);
+    return HighlightMerge.sameVersion(merged, conflict.existing)
+      ? null
+      : merged;
+  }
+
+  // Describe what a merge import would do, without changing anything
+  async previewImport(importData, format) {
+    try {
+      const plan = await this.planImport(importData, format);
+      const summarize = (h) => ({
+        id: h.id,
+        text: h.text,
+        note: h.note || "",
+        tags: h.tags || [],
+        color: h.color,
+        url: h.url,
+        title: h.title,
+        timestamp: h.timestamp,
+      });
+
+      return {
+        added: plan.added.length,
+        duplicates: plan.duplicates.length,
+        replaced: plan.replaced.length,
+        collections: Array.isArray(importData?.collections)
+          ? importData.collections.length
+          : 0,
+        conflicts: plan.conflicts.map((conflict) => ({
+          id: conflict.incoming.id,
+          fields: conflict.fields,
+          matchedBy: conflict.matchedBy,
+          mine: summarize(conflict.existing),
+          theirs: summarize(conflict.incoming),
+          merged: summarize(
+            this.resolveImportConflict(conflict, "merge") || conflict.existing
+          ),
+        })),
+        invalid: plan.invalid.map(({ highlight, index, reason }) => ({
+          index,
+          reason,
+          text: String((highlight && highlight.text) || "").substring(0, 100),
+        })),
+      };
+    } catch (error) {
+      console.error("Failed to preview import:", error);
+      throw new Error("Failed to preview import: " + error.message);
+    }
+  }
+
+  // Trashed highlights are matched too, so importing one again neither
+  // brings it back nor takes its id. plan.replaced lists the ids of
+  // highlights the import supersedes
+  async planImport(importData, format) {
+    const { highlights, skipped } = this.readImportData(importData, format);
+    const existing = await this.store.getAll();
+
+    const plan = ImportMerge.plan(existing, highlights, (h) =>
+      this.validateHighlight(h)
+    );
+    plan.replaced = [];
+    for (let i = 0; i < skipped; i++) {
+      plan.invalid.push({
+        highlight: null,
+        reason: "Entry without text or a source",
+      });
+    }
+
+    if (format === "kindle") {
+      this.planKindleImport(plan, existing);
+    }
+
+    return plan;
+  }
+
+  // Kindle writes a new clipping when a highlight is extended. A newer
+  // clipping that matched the stored one by text wins the merge for its
+  // text and location, keeping the note, tags and color given to it here;
+  // an older one keeps the stored text and location. Stored versions that
+  // a newer clipping extends without matching it are replaced, and the
+  // clipping keeps what was given to them
+  planKindleImport(plan, existing) {
+    plan.conflicts = plan.conflicts.filter((conflict) => {
+      const { existing: stored, incoming } = conflict;
+      if (
+        conflict.matchedBy !== "text" ||
+        !KindleClippings.isSameClipping(stored, incoming)
+      ) {
+        return true;
+      }
+
+      if ((incoming.timestamp || 0) < (stored.timestamp || 0)) {
+        conflict.incoming = {
+          ...incoming,
+          text: stored.text,
+          timestamp: stored.timestamp,
+          kindle: stored.kindle,
+        };
+      } else {
+        conflict.incoming = {
+          ...incoming,
+          note: stored.note || incoming.note,
+          tags: stored.tags,
+          color: stored.color,
+          revisions: {
+            ...(incoming.revisions || {}),
+            anchor: HighlightMerge.tick(
+              HighlightMerge.clockOf(stored, "anchor"),
+              this.store.device
+            ),
+          },
+        };
+      }
+
+      conflict.fields = ImportMerge.differingFields(stored, conflict.incoming);
+      if (conflict.fields.length === 0) {
+        plan.duplicates.push({ incoming: conflict.incoming, existing: stored });
+        return false;
+      }
+      return true;
+    });
+
+    const matchedIds = new Set(
+      plan.conflicts.concat(plan.duplicates).map((c) => c.existing.id)
+    );
+    const clippings = plan.added.concat(
+      plan.conflicts.map((c) => c.incoming),
+      plan.duplicates.map((c) => c.incoming)
+    );
+    const replaced = existing.filter(
+      (h) =>
+        !h.deletedAt &&
+        !matchedIds.has(h.id) &&
+        clippings.some(
+          (clipping) =>
+            (clipping.timestamp || 0) >= (h.timestamp || 0) &&
+            KindleClippings.isSameClipping(h, clipping)
+        )
+    );
+    plan.replaced = replaced.map((h) => h.id);
+
+    plan.added.forEach((clipping) => {
+      const previous = replaced.find((h) =>
+        KindleClippings.isSameClipping(h, clipping)
+      );
+      if (previous) {
+        clipping.note = clipping.note || previous.note;
+        clipping.tags = previous.tags;
+        clipping.color = previous.color;
+      }
+    });
+  }
+
+  // format is "json" (our backup), "webannotation", "readwise" (CSV text)
+  // or "kindle" (My Clippings.txt); json and webannotation are detected
+  // when it isn't given
+  readImportData(importData, format) {
+    if (format === "readwise") {
+      return CsvFormat.importReadwise(importData);
+    }
+    if (format === "kindle") {
+      return KindleClippings.import(importData);
+    }
+    if (
+      format === "webannotation" ||
+      (!format && WebAnnotation.isAnnotationData(importData))
+    ) {
+      return WebAnnotation.import(importData);
+    }
+
+    // Backups of any schema version, migrated to the current one
+    return {
+      highlights: ExportSchema.unwrap(importData).highlights,
+      skipped: 0,
+    };
+  }
+
+  // Make the imported file the whole library. Keep what it replaces so the
+  // import can be undone: highlights missing from the file go to the trash
+  // and overwritten versions are remembered. Invalid records are skipped,
+  // and the undo record says how many so the user can be told; a
+  // highlight whose record was skipped is kept rather than trashed.
+  // This is a replace on purpose, not a merge: going back to the file is
+  // what the user asked for. It still follows the merge rules, because the
+  // writes are stamped like any edit: values the file changes get clocks
+  // newer than what they replace, and highlights deleted for good since
+  // come back past their tombstones, so synced devices take the file's
+  // version too
+  async replaceWithImport(importData, format, undoType = "import") {
+    const { highlights } = this.readImportData(importData, format);
+
+    const validHighlights = highlights.filter(
+      (h) => !this.validateHighlight(h)
+    );
+    const skipped = highlights.length - validHighlights.length;
+
+    const existing = await this.store.getAll();
+    const existingById = new Map(existing.map((h) => [h.id, h]));
+    const importedIds = new Set(highlights.map((h) => h && h.id));
+
+    const overwritten = validHighlights
+      .filter((h) => existingById.has(h.id))
+      .map((h) => existingById.get(h.id));
+    const createdIds = validHighlights
+      .filter((h) => !existingById.has(h.id))
+      .map((h) => h.id);
+    const replaced = existing.filter(
+      (h) => !h.deletedAt && !importedIds.has(h.id)
+    );
+
+    await this.store.putMany(
+      validHighlights.map(({ deletedAt, ...highlight }) => highlight)
+    );
+    const trashedIds = await this.moveToTrash(replaced.map((h) => h.id));
+
+    const undo = await this.recordUndo(undoType, {
+      trashedIds,
+      createdIds,
+      overwritten,
+      urls: this.uniqueUrls(replaced.concat(validHighlights)),
+    });
+    await this.restoreBackupExtras(importData, "replace");
+
+    // Notify all tabs about the update
+    this.notifyTabsAboutUpdate({ undo });
+
+    return { ...undo, skipped };
+  }
+
+  // Returns why a highlight can't be imported, or null when it can
+  validateHighlight(highlight) {
+    const errors = ExportSchema.validate(highlight);
+    return errors.length > 0 ? errors.join("; ") : null;
+  }
+
+  // Mark highlights as deleted; resolves with the ids that were moved
+  async moveToTrash(ids) {
+    const pending = new Set(ids);
+    const trashedIds = [];
+    const deletedAt = Date.now();
+
+    await this.store.updateMany((highlight) => {
+      if (!pending.has(highlight.id) || highlight.deletedAt) return false;
+
+      highlight.deletedAt = deletedAt;
+      trashedIds.push(highlight.id);
+      return true;
+    });
+
+    return trashedIds;
+  }
+
+  uniqueUrls(highlights) {
+    return Array.from(new Set(highlights.map((h) => h.url).filter(Boolean)));
+  }
+
+  async getTrash() {
+    try {
+      const highlights = await this.store.getAll();
+      const trashed = highlights
+        .filter((h) => h.deletedAt)
+        .sort((a, b) => b.deletedAt - a.deletedAt);
+
+      return {
+        highlights: trashed,
+        retentionDays: await this.getTrashRetentionDays(),
+      };
+    } catch (error) {
+      console.error("Failed to get trash:", error);
+      throw new Error("Failed to retrieve trash: " + error.message);
+    }
+  }
+
+  async restoreHighlights(highlightIds) {
+    if (!Array.isArray(highlightIds)) {
+      throw new Error("Highlight IDs are required");
+    }
+
+    try {
+      const ids = new Set(highlightIds);
+      const count = await this.store.updateMany((highlight) => {
+        if (!ids.has(highlight.id) || !highlight.deletedAt) return false;
+
+        delete highlight.deletedAt;
+        return true;
+      });
+
+      if (count > 0) {
+        this.notifyTabsAboutUpdate();
+      }
+
+      return count;
+    } catch (error) {
+      console.error("Failed to restore highlights:", error);
+      throw new Error("Failed to restore highlights: " + error.message);
+    }
+  }
+
+  // Permanently delete highlights that are in the trash
+  async purgeHighlights(highlightIds) {
+    if (!Array.isArray(highlightIds)) {
+      throw new Error("Highlight IDs are required");
+    }
+
+    try {
+      const { highlights } = await this.getTrash();
+      const requested = new Set(highlightIds);
+      const ids = highlights
+        .filter((h) => requested.has(h.id))
+        .map((h) => h.id);
+
+      await this.store.deleteMany(ids);
+      await this.removeFromAllCollections(ids);
+
+      return ids.length;
+    } catch (error) {
+      console.error("Failed to purge highlights:", error);
+      throw new Error("Failed to purge highlights: " + error.message);
+    }
+  }
+
+  async emptyTrash() {
+    const { highlights } = await this.getTrash();
+    return this.purgeHighlights(highlights.map((h) => h.id));
+  }
+
+  // Drop trashed highlights older than the retention period
+  async purgeExpiredTrash() {
+    try {
+      const retentionDays = await this.getTrashRetentionDays();
+      if (retentionDays === 0) return 0;
+
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+      const { highlights } = await this.getTrash();
+      const expired = highlights.filter((h) => h.deletedAt < cutoff);
+
+      return await this.purgeHighlights(expired.map((h) => h.id));
+    } catch (error) {
+      console.error("Failed to purge expired trash:", error);
+      return 0;
+    }
+  }
+
+  async purgeOldTombstones() {
+    try {
+      return await this.store.deleteTombstonesBefore(
+        Date.now() - BackgroundService.TOMBSTONE_DAYS * 24 * 60 * 60 * 1000
+      );
+    } catch (error) {
+      console.error("Failed to purge old tombstones:", error);
+      return 0;
+    }
+  }
+
+  // Days to keep deleted highlights; 0 keeps them until the trash is emptied
+  async getTrashRetentionDays() {
+    const result = await chrome.storage.local.get(["trashRetentionDays"]);
+    return Number.isInteger(result.trashRetentionDays)
+      ? result.trashRetentionDays
+      : BackgroundService.DEFAULT_TRASH_RETENTION_DAYS;
+  }
+
+  async saveTrashSettings(retentionDays) {
+    const days = Number(retentionDays);
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      throw new Error("Retention must be a whole number of days (0-3650)");
+    }
+
+    try {
+      await chrome.storage.local.set({ trashRetentionDays: days });
+      await this.purgeExpiredTrash();
+      return days;
+    } catch (error) {
+      console.error("Failed to save trash settings:", error);
+      throw new Error("Failed to save trash settings: " + error.message);
+    }
+  }
+
+  async getBackupSettings() {
+    const result = await chrome.storage.local.get(["backupSettings"]);
+    return {
+      ...BackgroundService.DEFAULT_BACKUP_SETTINGS,
+      ...(result.backupSettings || {}),
+    };
+  }
+
+  // settings is { frequency: "off" | "daily" | "weekly", keep }
+  async saveBackupSettings(settings = {}) {
+    const current = await this.getBackupSettings();
+    const frequency = settings.frequency ?? current.frequency;
+    const keep = Number(settings.keep ?? current.keep);
+
+    if (frequency !== "off" && !BackgroundService.BACKUP_PERIODS[frequency]) {
+      throw new Error("Backup frequency must be off, daily or weekly");
+    }
+    if (
+      !Number.isInteger(keep) ||
+      keep < 1 ||
+      keep > BackgroundService.MAX_BACKUP_SNAPSHOTS
+    ) {
+      throw new Error(
+        `Backups to keep must be a whole number (1-${BackgroundService.MAX_BACKUP_SNAPSHOTS})`
+      );
+    }
+
+    try {
+      const backupSettings = { frequency, keep };
+      await chrome.storage.local.set({ backupSettings });
+      await this.snapshots.rotate(keep);
+      await this.scheduleBackups(backupSettings);
+      return backupSettings;
+    } catch (error) {
+      console.error("Failed to save backup settings:", error);
+      throw new Error("Failed to save backup settings: " + error.message);
+    }
+  }
+
+  // Keep the backup alarm in step with the settings. The first backup is
+  // due one period after the newest snapshot, or right away without one
+  async scheduleBackups(settings = null) {
+    try {
+      const { frequency } = settings || (await this.getBackupSettings());
+      const period = BackgroundService.BACKUP_PERIODS[frequency];
+      const name = BackgroundService.BACKUP_ALARM;
+
+      if (!period) {
+        await chrome.alarms.clear(name);
+        return;
+      }
+
+      const alarm = await chrome.alarms.get(name);
+      if (alarm && alarm.periodInMinutes === period) return;
+
+      const [latest] = await this.snapshots.list();
+      const elapsed = latest ? (Date.now() - latest.timestamp) / 60000 : period;
+      await chrome.alarms.create(name, {
+        delayInMinutes: Math.max(1, period - elapsed),
+        periodInMinutes: period,
+      });
+    } catch (error) {
+      console.error("Failed to schedule backups:", error);
+    }
+  }
+
+  async getBackupSnapshots() {
+    try {
+      return {
+        snapshots: await this.snapshots.list(),
+        settings: await this.getBackupSettings(),
+      };
+    } catch (error) {
+      console.error("Failed to get backup snapshots:", error);
+      throw new Error("Failed to get backup snapshots: " + error.message);
+    }
+  }
+
+  // Save a full backup (without the summary cache) as a snapshot and drop
+  // the oldest ones beyond the number to keep. Scheduled backups are
+  // skipped while nothing has changed since the newest snapshot
+  async createBackupSnapshot(reason) {
+    try {
+      const backup = await this.buildBackup(false);
+      const checksum = TextUtils.hash(
+        JSON.stringify({ ...backup, exportedAt: null })
+      );
+
+      const [latest] = await this.snapshots.list();
+      if (reason === "scheduled" && latest && latest.checksum === checksum) {
+        return null;
+      }
+
+      const content = JSON.stringify(backup);
+      const snapshot = {
+        id: `snapshot_${Date.now()}_${Math.random()
+          .toString(36)
+          .substring(2, 8)}`,
+        timestamp: Date.now(),
+        reason,
+        size: new Blob([content]).size,
+        highlightCount: backup.highlights.length,
+        collectionCount: backup.collections.length,
+        checksum,
+        content,
+      };
+
+      await this.snapshots.put(snapshot);
+      await this.snapshots.rotate((await this.getBackupSettings()).keep);
+
+      delete snapshot.content;
+      return snapshot;
+    } catch (error) {
+      console.error("Failed to create backup snapshot:", error);
+      throw new Error("Failed to create backup snapshot: " + error.message);
+    }
+  }
+
+  async getBackupSnapshot(snapshotId) {
+    const snapshot = await this.snapshots.get(snapshotId);
+    if (!snapshot) {
+      throw new Error("Backup not found");
+    }
+    return snapshot;
+  }
+
+  // A snapshot downloads as a regular JSON backup
+  async exportBackupSnapshot(snapshotId) {
+    try {
+      const snapshot = await this.getBackupSnapshot(snapshotId);
+      const date = new Date(snapshot.timestamp).toISOString().split("T")[0];
+
+      return {
+        filename: `highlights-snapshot-${date}.json`,
+        mimeType: "application/json",
+        content: JSON.stringify(JSON.parse(snapshot.content), null, 2),
+      };
+    } catch (error) {
+      console.error("Failed to export backup snapshot:", error);
+      throw new Error("Failed to export backup snapshot: " + error.message);
+    }
+  }
+
+  // Restoring replaces the library like "Replace all" and can be undone.
+  // A snapshot is an earlier state to go back to, so its versions are
+  // written as new edits instead of being merged (see replaceWithImport)
+  async restoreBackupSnapshot(snapshotId) {
+    try {
+      const snapshot = await this.getBackupSnapshot(snapshotId);
+      return await this.replaceWithImport(
+        JSON.parse(snapshot.content),
+        "json",
+        "restoreSnapshot"
+      );
+    } catch (error) {
+      console.error("Failed to restore backup snapshot:", error);
+      throw new Error("Failed to restore backup snapshot: " + error.message);
+    }
+  }
+
+  async deleteBackupSnapshot(snapshotId) {
+    try {
+      await this.snapshots.delete(snapshotId);
+    } catch (error) {
+      console.error("Failed to delete backup snapshot:", error);
+      throw new Error("Failed to delete backup snapshot: " + error.message);
+    }
+  }
+
+  async getSyncSettings() {
+    const result = await chrome.storage.local.get(["syncSettings"]);
+    return {
+      ...BackgroundService.DEFAULT_SYNC_SETTINGS,
+      ...(result.syncSettings || {}),
+    };
+  }
+
+  // settings is { enabled, url, token, intervalMinutes }. Pointing sync at
+  // another server starts over: everything is pulled and pushed again
+  async saveSyncSettings(settings = {}) {
+    const current = await this.getSyncSettings();
+    const syncSettings = {
+      enabled: Boolean(settings.enabled ?? current.enabled),
+      url: String(settings.url ?? current.url).trim(),
+      token: String(settings.token ?? current.token).trim(),
+      intervalMinutes: Number(
+        settings.intervalMinutes ?? current.intervalMinutes
+      ),
+    };
+
+    if (syncSettings.url && !/^https?:\/\/[^/]/i.test(syncSettings.url)) {
+      throw new Error(
+        "The sync server URL must start with http:// or https://"
+      );
+    }
+    if (syncSettings.enabled && !syncSettings.url) {
+      throw new Error("Enter the sync server URL to turn on sync");
+    }
+    if (
+      !BackgroundService.SYNC_INTERVALS.includes(syncSettings.intervalMinutes)
+    ) {
+      throw new Error(
+        `Sync interval must be one of ${BackgroundService.SYNC_INTERVALS.join(
+          ", "
+        )} minutes`
+      );
+    }
+
+    try {
+      await chrome.storage.local.set({ syncSettings });
+      if (syncSettings.url !== current.url) {
+        await chrome.storage.local.remove(["syncState", "syncHashes"]);
+      }
+      await this.scheduleSync(syncSettings);
+      return syncSettings;
+    } catch (error) {
+      console.error("Failed to save sync settings:", error);
+      throw new Error("Failed to save sync settings: " + error.message);
+    }
+  }
+
+  async scheduleSync(settings = null) {
+    try {
+      const { enabled, intervalMinutes } =
+        settings || (await this.getSyncSettings());
+      const name = BackgroundService.SYNC_ALARM;
+
+      if (!enabled) {
+        await chrome.alarms.clear(name);
+        return;
+      }
+
+      const alarm = await chrome.alarms.get(name);
+      if (alarm && alarm.periodInMinutes === intervalMinutes) return;
+
+      await chrome.alarms.create(name, {
+        delayInMinutes: 1,
+        periodInMinutes: intervalMinutes,
+      });
+    } catch (error) {
+      console.error("Failed to schedule sync:", error);
+    }
+  }
+
+  // Settings and the outcome of the last sync
+  async getSyncStatus() {
+    const settings = await this.getSyncSettings();
+    const { syncState } = await chrome.storage.local.get(["syncState"]);
+
+    return {
+      settings,
+      state: {
+        lastSyncAt: syncState?.lastSyncAt || null,
+        lastError: syncState?.lastError || null,
+        syncing: Boolean(this.syncing),
+      },
+    };
+  }
+
+  // Sync a few seconds after the last change so a burst of edits goes out
+  // in one push
+  requestSync() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.syncIfEnabled().catch(() => {});
+      this.mirrorIfEnabled().catch(() => {});
+    }, BackgroundService.SYNC_DELAY);
+  }
+
+  async syncIfEnabled() {
+    const settings = await this.getSyncSettings();
+    if (settings.enabled && settings.url) {
+      await this.sync();
+    }
+  }
+
+  // Only one sync runs at a time; callers arriving during a sync share it
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  // Pull and merge remote changes, then push local ones. A push refused
+  // because another browser pushed first is retried after pulling again.
+  // Resolves with { pulled, pushed, lastSyncAt }
+  async runSync() {
+    const settings = await this.getSyncSettings();
+
+    try {
+      const client = new SyncClient(settings);
+      let { cursor = "" } = await this.getSyncState();
+      let pulled = 0;
+      let pushed = 0;
+
+      for (let attempt = 1; ; attempt++) {
+        const pull = await this.pullChanges(client, cursor);
+        cursor = pull.cursor;
+        pulled += pull.count;
+
+        try {
+          const push = await this.pushChanges(client, cursor);
+          cursor = push.cursor;
+          pushed += push.count;
+          break;
+        } catch (error) {
+          if (error.code !== "SYNC_CONFLICT" || attempt === 3) throw error;
+        }
+      }
+
+      const lastSyncAt = Date.now();
+      await this.saveSyncState({ lastSyncAt, lastError: null });
+      return { pulled, pushed, lastSyncAt };
+    } catch (error) {
+      console.error("Sync failed:", error);
+      await this.saveSyncState({ lastError: error.message });
+      throw new Error("Sync failed: " + error.message);
+    }
+  }
+
+  async pullChanges(client, cursor) {
+    let count = 0;
+    let more = true;
+
+    while (more) {
+      const page = await client.pull(cursor);
+      if (page.changes.length > 0) {
+        count += await this.writes.run(() =>
+          this.applyRemoteChanges(page.changes, page.cursor)
+        );
+      }
+      cursor = page.cursor;
+      more = page.more;
+    }
+
+    return { cursor, count };
+  }
+
+  // Merge a page of remote changes into the store and move the cursor past
+  // them. Both versions of a highlight are merged field by field (see
+  // HighlightMerge); a merged version that differs from the remote one is
+  // pushed back. Resolves with the number of highlights changed
+  async applyRemoteChanges(changes, cursor) {
+    const hashes = await this.getSyncHashes();
+    const stored = new Map((await this.store.getAll()).map((h) => [h.id, h]));
+    const tombstones = new Map(
+      (await this.store.getTombstones()).map((t) => [t.id, t])
+    );
+    const writes = [];
+    const removed = [];
+
+    changes.forEach((change) => {
+      const local = stored.get(change.id);
+
+      if (change.deleted) {
+        delete hashes[change.id];
+        const tombstone = this.remoteTombstone(change);
+        // An edit made here after the delete is pushed back
+        if (local && !HighlightMerge.survives(local, tombstone)) {
+          removed.push(tombstone);
+        }
+        return;
+      }
+
+      const reason = this.validateHighlight(change.record);
+      if (reason) {
+        console.warn(
+          `Skipped invalid synced highlight ${change.id}: ${reason}`
+        );
+        return;
+      }
+
+      // What the server holds; the next push sends ours if it differs
+      const remote = this.syncRecord(change.record);
+      hashes[change.id] = this.syncHash(remote);
+
+      // Deleted here after the remote edit; the tombstone goes out next
+      const tombstone = tombstones.get(change.id);
+      if (!local && !HighlightMerge.survives(remote, tombstone)) {
+        return;
+      }
+
+      const merged = this.withLocalFields(
+        HighlightMerge.merge(local, remote),
+        local
+      );
+      if (!local || this.syncHash(merged) !== this.syncHash(local)) {
+        writes.push(merged);
+      }
+    });
+
+    await this.storeMerged(writes, removed);
+    await chrome.storage.local.set({ syncHashes: hashes });
+    await this.saveSyncState({ cursor });
+
+    const count = writes.length + removed.length;
+    if (count > 0) {
+      this.notifyTabsAboutUpdate();
+    }
+    return count;
+  }
+
+  // Store versions that were merged with a remote copy as they are, and
+  // delete highlights with the tombstones that removed them
+  async storeMerged(writes, removed) {
+    if (writes.length > 0) {
+      await this.store.putMany(writes, { stamp: false });
+    }
+    if (removed.length > 0) {
+      const ids = removed.map((tombstone) => tombstone.id);
+      await this.store.deleteMany(ids, { tombstones: removed });
+      await this.removeFromAllCollections(ids);
+    }
+  }
+
+  // The tombstone for a remote delete; a change without a clock only says
+  // when the delete happened
+  remoteTombstone(change) {
+    return {
+      id: change.id,
+      clock: HighlightMerge.isClock(change.clock)
+        ? change.clock
+        : { at: change.deletedAt || 0, by: "" },
+    };
+  }
+
+  // Push every highlight whose content differs from what was last synced,
+  // and a tombstone for each synced highlight that was deleted for good
+  async pushChanges(client, cursor) {
+    const hashes = await this.getSyncHashes();
+    const highlights = await this.store.getAll();
+    const localIds = new Set(highlights.map((h) => h.id));
+    const tombstones = new Map(
+      (await this.store.getTombstones()).map((t) => [t.id, t])
+    );
+    const pending = [];
+
+    highlights.forEach((highlight) => {
+      const hash = this.syncHash(highlight);
+      if (hashes[highlight.id] !== hash) {
+        pending.push({
+          change: { id: highlight.id, record: this.syncRecord(highlight) },
+          hash,
+        });
+      }
+    });
+    Object.keys(hashes)
+      .filter((id) => !localIds.has(id))
+      .forEach((id) => {
+        const { clock } =
+          tombstones.get(id) ||
+          HighlightMerge.tombstone({ id }, this.store.device);
+        pending.push({
+          change: { id, deleted: true, deletedAt: clock.at, clock },
+          hash: null,
+        });
+      });
+
+    for (let i = 0; i < pending.length; i += SyncClient.PAGE_SIZE) {
+      const batch = pending.slice(i, i + SyncClient.PAGE_SIZE);
+      cursor = await client.push(
+        batch.map((item) => item.change),
+        cursor
+      );
+      await this.writes.run(() => this.markSynced(batch, cursor));
+    }
+
+    return { cursor, count: pending.length };
+  }
+
+  async markSynced(batch, cursor) {
+    const hashes = await this.getSyncHashes();
+    batch.forEach(({ change, hash }) => {
+      if (hash) {
+        hashes[change.id] = hash;
+      } else {
+        delete hashes[change.id];
+      }
+    });
+    await chrome.storage.local.set({ syncHashes: hashes });
+    await this.saveSyncState({ cursor });
+  }
+
+  // Content hash of each highlight as of the last sync, to tell which
+  // highlights changed locally since then
+  async getSyncHashes() {
+    const result = await chrome.storage.local.get(["syncHashes"]);
+    return result.syncHashes || {};
+  }
+
+  syncHash(highlight) {
+    return TextUtils.hash(JSON.stringify(this.syncRecord(highlight)));
+  }
+
+  // A highlight as it is synced, without the device-local fields
+  syncRecord(highlight) {
+    const record = { ...highlight };
+    BackgroundService.LOCAL_FIELDS.forEach((field) => delete record[field]);
+    return record;
+  }
+
+  // Put this device's local fields back on a version merged with a remote
+  // copy
+  withLocalFields(merged, local) {
+    BackgroundService.LOCAL_FIELDS.forEach((field) => {
+      if (local && local[field] !== undefined) {
+        merged[field] = local[field];
+      } else {
+        delete merged[field];
+      }
+    });
+    return merged;
+  }
+
+  async getSyncState() {
+    const result = await chrome.storage.local.get(["syncState"]);
+    return result.syncState || {};
+  }
+
+  async saveSyncState(updates) {
+    const syncState = { ...(await this.getSyncState()), ...updates };
+    await chrome.storage.local.set({ syncState });
+  }
+
+  async getBrowserSyncSettings() {
+    const result = await chrome.storage.local.get(["browserSync"]);
+    return { enabled: false, ...(result.browserSync || {}) };
+  }
+
+  // Turning the mirror off leaves it in chrome.storage.sync for the other
+  // browsers that use it
+  async saveBrowserSyncSettings(settings = {}) {
+    try {
+      const browserSync = { enabled: Boolean(settings.enabled) };
+      await chrome.storage.local.set({ browserSync });
+      return browserSync;
+    } catch (error) {
+      console.error("Failed to save browser sync settings:", error);
+      throw new Error("Failed to save browser sync settings: " + error.message);
+    }
+  }
+
+  async getBrowserSyncStatus() {
+    const { browserSyncState } = await chrome.storage.local.get([
+      "browserSyncState",
+    ]);
+    return {
+      settings: await this.getBrowserSyncSettings(),
+      state: {
+        lastSyncAt: null,
+        lastError: null,
+        bytes: 0,
+        quotaBytes:
+          chrome.storage.sync.QUOTA_BYTES || StorageSyncMirror.QUOTA_BYTES,
+        mirrored: 0,
+        evicted: 0,
+        ...(browserSyncState || {}),
+      },
+    };
+  }
+
+  async mirrorIfEnabled() {
+    const { enabled } = await this.getBrowserSyncSettings();
+    if (enabled) {
+      await this.writes.run(() => this.mirrorToStorageSync());
+    }
+  }
+
+  async pullStorageSyncIfEnabled(meta) {
+    const { enabled } = await this.getBrowserSyncSettings();
+    if (!enabled || !meta || meta.w === (await this.getDeviceId())) return;
+
+    await this.writes.run(async () => {
+      const items = await chrome.storage.sync.get(null);
+      const payload = StorageSyncMirror.fromItems(items);
+      if (payload) {
+        await this.applyStorageSyncMirror(StorageSyncMirror.decode(payload));
+        await this.saveBrowserSyncState({ lastSyncAt: Date.now() });
+      }
+    });
+  }
+
+  // Write every mirrorable highlight to chrome.storage.sync, after merging
+  // what other browsers wrote there. When the mirror doesn't fit the quota
+  // the oldest highlights are left out, and the state says how many
+  async mirrorToStorageSync() {
+    try {
+      const items = await chrome.storage.sync.get(null);
+      const payload = StorageSyncMirror.fromItems(items);
+      const mirror = payload
+        ? StorageSyncMirror.decode(payload)
+        : { highlights: [], tombstones: [] };
+      await this.applyStorageSyncMirror(mirror);
+
+      const now = Date.now();
+      const highlights = (await this.store.getAll()).filter((h) =>
+        StorageSyncMirror.canMirror(h)
+      );
+      const localIds = new Set(highlights.map((h) => h.id));
+
+      // Highlights deleted for good here, plus recent deletes from others
+      const cutoff =
+        now - StorageSyncMirror.TOMBSTONE_DAYS * 24 * 60 * 60 * 1000;
+      const tombstones = new Map();
+      (await this.store.getTombstones())
+        .concat(mirror.tombstones)
+        .forEach((tombstone) => {
+          if (tombstone.clock.at <= cutoff || localIds.has(tombstone.id)) {
+            return;
+          }
+          tombstones.set(
+            tombstone.id,
+            HighlightMerge.newerTombstone(
+              tombstones.get(tombstone.id),
+              tombstone
+            )
+          );
+        });
+
+      const {
+        items: next,
+        bytes,
+        kept,
+        evicted,
+      } = StorageSyncMirror.toItems(
+        highlights,
+        Array.from(tombstones.values()),
+        await this.getDeviceId(),
+        chrome.storage.sync
+      );
+
+      // Only write the chunks that changed
+      const changed = {};
+      Object.entries(next).forEach(([key, value]) => {
+        if (JSON.stringify(items[key]) !== JSON.stringify(value)) {
+          changed[key] = value;
+        }
+      });
+      const stale = Object.keys(items).filter(
+        (key) => StorageSyncMirror.isMirrorKey(key) && !(key in next)
+      );
+      const chunksChanged = Object.keys(changed).some(
+        (key) => key !== StorageSyncMirror.META_KEY
+      );
+
+      if (chunksChanged || stale.length > 0) {
+        await chrome.storage.sync.set(changed);
+        if (stale.length > 0) {
+          await chrome.storage.sync.remove(stale);
+        }
+      }
+
+      const { state } = await this.getBrowserSyncStatus();
+      if (evicted.length > state.evicted) {
+        console.warn(
+          `${evicted.length} oldest highlights don't fit in browser sync storage`
+        );
+      }
+      await this.saveBrowserSyncState({
+        lastSyncAt: now,
+        lastError: null,
+        bytes,
+        mirrored: kept.length,
+        evicted: evicted.length,
+      });
+    } catch (error) {
+      console.error("Failed to mirror highlights to browser sync:", error);
+      await this.saveBrowserSyncState({ lastError: error.message });
+      throw new Error("Failed to mirror highlights: " + error.message);
+    }
+  }
+
+  // Merge the decoded mirror into the store. Mirrored copies only carry
+  // some fields, so just their groups are merged and the rest stays as it
+  // is here. Resolves with the number of highlights changed
+  async applyStorageSyncMirror({ highlights, tombstones }) {
+    const stored = new Map((await this.store.getAll()).map((h) => [h.id, h]));
+    const buried = new Map(
+      (await this.store.getTombstones()).map((t) => [t.id, t])
+    );
+    const groups = StorageSyncMirror.mirroredGroups();
+    const writes = [];
+    const removed = [];
+
+    highlights.forEach((remote) => {
+      const local = stored.get(remote.id);
+
+      if (!local) {
+        // Deleted for good here after the last edit anywhere
+        if (!HighlightMerge.survives(remote, buried.get(remote.id))) return;
+        if (!this.validateHighlight(remote)) writes.push(remote);
+        return;
+      }
+
+      const merged = HighlightMerge.mergeGroups(local, remote, groups);
+      if (!HighlightMerge.sameVersion(merged, local, groups)) {
+        writes.push(merged);
+      }
+    });
+
+    tombstones.forEach((tombstone) => {
+      const local = stored.get(tombstone.id);
+      if (
+        local &&
+        StorageSyncMirror.canMirror(local) &&
+        !HighlightMerge.survives(local, tombstone)
+      ) {
+        removed.push(tombstone);
+      }
+    });
+
+    await this.storeMerged(writes, removed);
+
+    const count = writes.length + removed.length;
+    if (count > 0) {
+      this.notifyTabsAboutUpdate();
+    }
+    return count;
+  }
+
+  async saveBrowserSyncState(updates) {
+    const { browserSyncState } = await chrome.storage.local.get([
+      "browserSyncState",
+    ]);
+    await chrome.storage.local.set({
+      browserSyncState: { ...(browserSyncState || {}), ...updates },
     });
   }
 
-  async handleMessage(request, sender, sendResponse) {
-    try {
-      switch (request.action) {
-        case "saveHighlight":
-          const savedHighlight = await this.saveHighlight(request.highlight);
-          sendResponse({ success: true, highlight: savedHighlight });
-          break;
+  // Identifies this browser's writes to the mirror
+  async getDeviceId() {
+    if (!this.deviceId) {
+      const result = await chrome.storage.local.get(["deviceId"]);
+      this.deviceId =
+        result.deviceId ||
+        `device_${Date.now().toString(36)}_${Math.random()
+          .toString(36)
+          .substring(2, 8)}`;
+      if (!result.deviceId) {
+        await chrome.storage.local.set({ deviceId: this.deviceId });
+      }
+    }
+    return this.deviceId;
+  }
 
-        case "getHighlights":
-          const highlights = await this.getHighlights();
-          sendResponse({ success: true, highlights });
-          break;
+  // Remember how to reverse the latest destructive action. Only one action
+  // can be undone; recording a new one replaces the previous record
+  async recordUndo(type, changes) {
+    const undo = {
+      id: `undo_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      type,
+      timestamp: Date.now(),
+      trashedIds: changes.trashedIds || [],
+      createdIds: changes.createdIds || [],
+      overwritten: changes.overwritten || [],
+      urls: changes.urls || [],
+    };
 
-        case "deleteHighlight":
-          await this.deleteHighlight(request.id);
-          sendResponse({ success: true });
-          break;
+    await chrome.storage.local.set({ lastUndo: undo });
 
-        case "clearAllHighlights":
-          await this.clearAllHighlights();
-          sendResponse({ success: true });
-          break;
+    // Callers only need enough to show and trigger the undo
+    return {
+      id: undo.id,
+      type,
+      count: undo.trashedIds.length + undo.createdIds.length,
+      urls: undo.urls,
+    };
+  }
 
-        case "exportHighlights":
-          const exportData = await this.exportHighlights();
-          sendResponse({ success: true, data: exportData });
-          break;
+  async undoLastAction(undoId) {
+    try {
+      const result = await chrome.storage.local.get(["lastUndo"]);
+      const undo = result.lastUndo;
 
-        case "importHighlights":
-          await this.importHighlights(request.highlights);
-          sendResponse({ success: true });
-          break;
+      if (!undo || (undoId && undo.id !== undoId)) {
+        throw new Error("This action can no longer be undone");
+      }
 
-        case "summarizeHighlight":
-          const summary = await this.summarizeHighlight(request);
-          sendResponse({ success: true, summary });
-          break;
+      const restored = new Set(undo.trashedIds);
+      let count = await this.store.updateMany((highlight) => {
+        if (!restored.has(highlight.id) || !highlight.deletedAt) return false;
 
-        default:
-          console.warn("Unknown action:", request.action);
-          sendResponse({ success: false, error: "Unknown action" });
+        delete highlight.deletedAt;
+        return true;
+      });
+
+      if (undo.createdIds.length > 0) {
+        await this.store.deleteMany(undo.createdIds);
+        count += undo.createdIds.length;
+      }
+      if (undo.overwritten.length > 0) {
+        await this.store.putMany(undo.overwritten);
       }
+
+      await chrome.storage.local.remove(["lastUndo"]);
+      this.notifyTabsAboutUpdate();
+
+      return count;
     } catch (error) {
-      console.error("Background service error:", error);
-      sendResponse({
-        success: false,
-        error: error.message || "Unknown error occurred",
-      });
+      console.error("Failed to undo:", error);
+      throw new Error("Failed to undo: " + error.message);
     }
   }
 
-  async saveHighlight(highlight) {
-    if (!highlight || !highlight.text || !highlight.url) {
-      throw new Error("Invalid highlight data: missing required fields");
+  async getTags() {
+    const highlights = await this.getHighlights();
+    return TagUtils.collect(highlights);
+  }
+
+  // Rename a tag on every highlight; renaming onto an existing tag merges them
+  async renameTag(from, to) {
+    const newTag = TagUtils.normalizeTag(to);
+    if (!from || !newTag) {
+      throw new Error("Both the current and new tag names are required");
     }
 
     try {
-      // Get current highlights
-      const result = await chrome.storage.local.get(["highlights"]);
-      const highlights = result.highlights || [];
+      const count = await this.store.updateMany((highlight) => {
+        const tags = highlight.tags || [];
+        if (!tags.some((tag) => TagUtils.equals(tag, from))) return false;
 
-      // Add timestamp if not present
-      if (!highlight.timestamp) {
-        highlight.timestamp = Date.now();
+        highlight.tags = TagUtils.normalize(
+          tags.map((tag) => (TagUtils.equals(tag, from) ? newTag : tag))
+        );
+        return true;
+      });
+
+      if (count > 0) {
+        this.notifyTabsAboutUpdate();
       }
 
-      // Add new highlight to beginning
-      highlights.unshift(highlight);
+      return count;
+    } catch (error) {
+      console.error("Failed to rename tag:", error);
+      throw new Error("Failed to rename tag: " + error.message);
+    }
+  }
+
+  async deleteTag(tagToDelete) {
+    if (!tagToDelete) {
+      throw new Error("Tag is required");
+    }
 
-      // Limit to 1000 highlights to prevent storage issues
-      if (highlights.length > 1000) {
-        highlights.splice(1000);
-      }
+    try {
+      const count = await this.store.updateMany((highlight) => {
+        const tags = highlight.tags || [];
+        const remaining = tags.filter(
+          (tag) => !TagUtils.equals(tag, tagToDelete)
+        );
+        if (remaining.length === tags.length) return false;
 
-      // Save back to storage
-      await chrome.storage.local.set({ highlights });
+        highlight.tags = remaining;
+        return true;
+      });
 
-      // Notify all tabs about the new highlight
-      this.notifyTabsAboutUpdate();
+      if (count > 0) {
+        this.notifyTabsAboutUpdate();
+      }
 
-      return highlight;
+      return count;
     } catch (error) {
-      console.error("Failed to save highlight:", error);
-      throw new Error("Failed to save highlight: " + error.message);
+      console.error("Failed to delete tag:", error);
+      throw new Error("Failed to delete tag: " + error.message);
     }
   }
 
-  async getHighlights() {
+  async getCollections() {
     try {
-      const result = await chrome.storage.local.get(["highlights"]);
-      const highlights = result.highlights || [];
-      return highlights;
+      const result = await chrome.storage.local.get(["collections"]);
+      return result.collections || [];
     } catch (error) {
-      console.error("Failed to get highlights:", error);
-      throw new Error("Failed to retrieve highlights: " + error.message);
+      console.error("Failed to get collections:", error);
+      throw new Error("Failed to retrieve collections: " + error.message);
     }
   }
 
-  async deleteHighlight(id) {
-    if (!id) {
-      throw new Error("Highlight ID is required");
+  // Load the collection list along with the collection being changed
+  async findCollection(collectionId) {
+    if (!collectionId) {
+      throw new Error("Collection ID is required");
     }
 
-    try {
-      const result = await chrome.storage.local.get(["highlights"]);
-      const highlights = result.highlights || [];
-      const initialCount = highlights.length;
+    const collections = await this.getCollections();
+    const collection = collections.find((c) => c.id === collectionId);
+    if (!collection) {
+      throw new Error("No collection found with ID: " + collectionId);
+    }
+
+    return { collections, collection };
+  }
 
-      const filtered = highlights.filter((h) => h.id !== id);
+  async createCollection(data) {
+    const name = String(data?.name || "").trim();
+    if (!name) {
+      throw new Error("Collection name is required");
+    }
 
-      if (filtered.length === initialCount) {
-        console.warn("No highlight found with ID:", id);
-      }
+    try {
+      const collections = await this.getCollections();
+      const now = Date.now();
+      const collection = {
+        id: `col_${now}_${Math.random().toString(36).substring(2, 11)}`,
+        name: name.substring(0, 100),
+        description: String(data.description || "").substring(0, 2000),
+        highlightIds: [],
+        createdAt: now,
+        updatedAt: now,
+      };
 
-      await chrome.storage.local.set({ highlights: filtered });
+      collections.push(collection);
+      await chrome.storage.local.set({ collections });
 
-      // Notify all tabs about the update
+      // Collection names are shown in the in-page save popup
       this.notifyTabsAboutUpdate();
 
-      return true;
+      return collection;
     } catch (error) {
-      console.error("Failed to delete highlight:", error);
-      throw new Error("Failed to delete highlight: " + error.message);
+      console.error("Failed to create collection:", error);
+      throw new Error("Failed to create collection: " + error.message);
     }
   }
 
-  async clearAllHighlights() {
+  // Rename, describe or reorder a collection
+  async updateCollection(collectionId, updates) {
+    if (!updates || typeof updates !== "object") {
+      throw new Error("Invalid update data: missing required fields");
+    }
+
     try {
-      await chrome.storage.local.set({ highlights: [] });
+      const { collections, collection } = await this.findCollection(
+        collectionId
+      );
 
-      // Notify all tabs about the update
-      this.notifyTabsAboutUpdate();
+      if ("name" in updates) {
+        const name = String(updates.name || "").trim();
+        if (!name) {
+          throw new Error("Collection name is required");
+        }
+        collection.name = name.substring(0, 100);
+      }
+      if ("description" in updates) {
+        collection.description = String(updates.description || "").substring(
+          0,
+          2000
+        );
+      }
+      if (Array.isArray(updates.highlightIds)) {
+        // Reordering only; ids outside the collection are ignored and
+        // members missing from the new order keep their relative position
+        const members = new Set(collection.highlightIds);
+        const ordered = updates.highlightIds.filter((id) => members.delete(id));
+        collection.highlightIds = ordered.concat(
+          collection.highlightIds.filter((id) => members.has(id))
+        );
+      }
+      collection.updatedAt = Date.now();
 
-      return true;
+      await chrome.storage.local.set({ collections });
+      if ("name" in updates) {
+        this.notifyTabsAboutUpdate();
+      }
+
+      return collection;
     } catch (error) {
-      console.error("Failed to clear highlights:", error);
-      throw new Error("Failed to clear highlights: " + error.message);
+      console.error("Failed to update collection:", error);
+      throw new Error("Failed to update collection: " + error.message);
     }
   }
 
-  async exportHighlights() {
+  async deleteCollection(collectionId) {
     try {
-      const highlights = await this.getHighlights();
-      const exportData = {
-        highlights,
-        exportDate: new Date().toISOString(),
-        version: "1.0.0",
-      };
-      return exportData;
+      const { collections } = await this.findCollection(collectionId);
+      await chrome.storage.local.set({
+        collections: collections.filter((c) => c.id !== collectionId),
+      });
+      this.notifyTabsAboutUpdate();
+      return true;
     } catch (error) {
-      console.error("Failed to export highlights:", error);
-      throw new Error("Failed to export highlights: " + error.message);
+      console.error("Failed to delete collection:", error);
+      throw new Error("Failed to delete collection: " + error.message);
     }
   }
 
-  async importHighlights(importData) {
+  async addToCollection(collectionId, highlightId) {
+    if (!highlightId) {
+      throw new Error("Highlight ID is required");
+    }
+
     try {
-      let highlights = [];
+      const { collections, collection } = await this.findCollection(
+        collectionId
+      );
 
-      if (Array.isArray(importData)) {
-        // Direct array import
-        highlights = importData;
-      } else if (
-        importData.highlights &&
-        Array.isArray(importData.highlights)
-      ) {
-        // Structured import
-        highlights = importData.highlights;
-      } else {
-        throw new Error(
-          "Invalid import format - expected array or object with highlights property"
-        );
+      if (!collection.highlightIds.includes(highlightId)) {
+        collection.highlightIds.push(highlightId);
+        collection.updatedAt = Date.now();
+        await chrome.storage.local.set({ collections });
       }
 
-      // Validate highlights
-      const validHighlights = highlights.filter(
-        (h) => h && h.id && h.text && h.url && h.timestamp
+      return collection;
+    } catch (error) {
+      console.error("Failed to add to collection:", error);
+      throw new Error("Failed to add to collection: " + error.message);
+    }
+  }
+
+  async removeFromCollection(collectionId, highlightId) {
+    try {
+      const { collections, collection } = await this.findCollection(
+        collectionId
       );
 
-      if (validHighlights.length !== highlights.length) {
-        console.warn(
-          `Filtered out ${
-            highlights.length - validHighlights.length
-          } invalid highlights`
-        );
-      }
+      collection.highlightIds = collection.highlightIds.filter(
+        (id) => id !== highlightId
+      );
+      collection.updatedAt = Date.now();
+      await chrome.storage.local.set({ collections });
+
+      return collection;
+    } catch (error) {
+      console.error("Failed to remove from collection:", error);
+      throw new Error("Failed to remove from collection: " + error.message);
+    }
+  }
 
-      await chrome.storage.local.set({ highlights: validHighlights });
+  // Drop permanently deleted highlights from every collection
+  async removeFromAllCollections(highlightIds) {
+    const collections = await this.getCollections();
+    if (collections.length === 0 || highlightIds.length === 0) return;
 
-      // Notify all tabs about the update
+    const removed = new Set(highlightIds);
+    collections.forEach((collection) => {
+      collection.highlightIds = collection.highlightIds.filter(
+        (id) => !removed.has(id)
+      );
+    });
+
+    await chrome.storage.local.set({ collections });
+  }
+
+  // Export a collection with its highlights in collection order
+  async exportCollection(collectionId) {
+    try {
+      const { collection } = await this.findCollection(collectionId);
+      const highlights = await this.getHighlights();
+      const byId = new Map(highlights.map((h) => [h.id, h]));
+
+      return ExportSchema.wrap(
+        collection.highlightIds.map((id) => byId.get(id)).filter(Boolean),
+        { collection }
+      );
+    } catch (error) {
+      console.error("Failed to export collection:", error);
+      throw new Error("Failed to export collection: " + error.message);
+    }
+  }
+
+  async getColorLabels() {
+    try {
+      const result = await chrome.storage.local.get(["colorLabels"]);
+      return result.colorLabels || {};
+    } catch (error) {
+      console.error("Failed to get color labels:", error);
+      throw new Error("Failed to retrieve color labels: " + error.message);
+    }
+  }
+
+  async saveColorLabels(labels) {
+    if (!labels || typeof labels !== "object") {
+      throw new Error("Invalid color labels");
+    }
+
+    try {
+      // Keep only labels for palette colors
+      const colorLabels = {};
+      HighlightColors.PALETTE.forEach((color) => {
+        const label = String(labels[color.id] || "").trim();
+        if (label) {
+          colorLabels[color.id] = label.substring(0, 40);
+        }
+      });
+
+      await chrome.storage.local.set({ colorLabels });
+
+      // Labels are shown in the in-page save popup
       this.notifyTabsAboutUpdate();
 
-      return true;
+      return colorLabels;
     } catch (error) {
-      console.error("Failed to import highlights:", error);
-      throw new Error("Failed to import highlights: " + error.message);
+      console.error("Failed to save color labels:", error);
+      throw new Error("Failed to save color labels: " + error.message);
     }
   }
 
-  notifyTabsAboutUpdate() {
+  notifyTabsAboutUpdate(details = {}) {
     // Notify all tabs that highlights have been updated
     chrome.tabs.query({}, (tabs) => {
       tabs.forEach((tab) => {
@@ -224,6 +2461,7 @@ class BackgroundService {
           chrome.tabs
             .sendMessage(tab.id, {
               action: "highlightsUpdated",
+              ...details,
             })
             .catch((error) => {
               // Ignore errors for tabs that don't have content scripts
@@ -236,25 +2474,64 @@ class BackgroundService {
   }
 
   handleInstallation(details) {
-    if (details.reason === "install") {
-      // Initialize storage on first install
-      chrome.storage.local.set({ highlights: [] });
-    } else if (details.reason === "update") {
-      // Perform any migration if needed
-      this.performMigrationIfNeeded();
+    if (details.reason === "update") {
+      // Migration already runs on every startup; log once it has finished
+      this.ready.then(() =>
+        console.log("Updated from version", details.previousVersion)
+      );
     }
   }
 
   async performMigrationIfNeeded() {
     try {
       // Check if migration is needed and perform it
-      const result = await chrome.storage.local.get(["highlights", "version"]);
+      const result = await chrome.storage.local.get([
+        "highlights",
+        "version",
+        "schemaVersion",
+      ]);
       const currentVersion = chrome.runtime.getManifest().version;
 
+      // Highlights used to be one array in chrome.storage.local. Copy them
+      // into IndexedDB first and only drop the old key once that succeeded,
+      // so an interrupted migration is simply retried on the next startup
+      if (Array.isArray(result.highlights)) {
+        const legacy = result.highlights.filter((h) => h && h.id);
+        await this.store.putMany(legacy);
+        await chrome.storage.local.remove(["highlights"]);
+        console.log(`Migrated ${legacy.length} highlights to IndexedDB`);
+      }
+
+      // Stored highlights follow the same schema as exports; bring them up
+      // to date with the same migrations. Highlights stored before the
+      // schema was versioned count as version 1
+      const schemaVersion = result.schemaVersion || 1;
+      if (schemaVersion < ExportSchema.SCHEMA_VERSION) {
+        const count = await this.store.updateMany((highlight) => {
+          Object.assign(
+            highlight,
+            ExportSchema.migrate(highlight, schemaVersion)
+          );
+          return true;
+        });
+        if (count > 0) {
+          console.log(
+            `Migrated ${count} highlights to schema version ${ExportSchema.SCHEMA_VERSION}`
+          );
+        }
+      }
+      if (schemaVersion !== ExportSchema.SCHEMA_VERSION) {
+        await chrome.storage.local.set({
+          schemaVersion: ExportSchema.SCHEMA_VERSION,
+        });
+      }
+
       if (!result.version || result.version !== currentVersion) {
         // Perform any necessary data migrations here
         await chrome.storage.local.set({ version: currentVersion });
       }
+
+      await this.migrateLegacyAIConfig();
     } catch (error) {
       console.error("Migration failed:", error);
     }
@@ -263,15 +2540,20 @@ class BackgroundService {
   // Utility method to get storage usage
   async getStorageUsage() {
     try {
+      // Highlights live in IndexedDB, settings in chrome.storage.local
       const result = await chrome.storage.local.get(null);
-      const dataSize = JSON.stringify(result).length;
+      const highlights = await this.getHighlights();
+      const dataSize =
+        JSON.stringify(result).length + JSON.stringify(highlights).length;
+      const estimate = await navigator.storage.estimate();
       const usage = {
         bytes: dataSize,
         kilobytes: Math.round((dataSize / 1024) * 100) / 100,
         megabytes: Math.round((dataSize / (1024 * 1024)) * 100) / 100,
-        limit: 5 * 1024 * 1024, // 5MB limit
-        percentage:
-          Math.round((dataSize / (5 * 1024 * 1024)) * 100 * 100) / 100,
+        limit: estimate.quota,
+        percentage: estimate.quota
+          ? Math.round((estimate.usage / estimate.quota) * 100 * 100) / 100
+          : 0,
       };
       return usage;
     } catch (error) {
@@ -282,34 +2564,102 @@ class BackgroundService {
 
   // Cleanup old highlights (optional feature)
   async cleanupOldHighlights(daysToKeep = 365) {
+    return this.writes.run(() => this.removeOldHighlights(daysToKeep));
+  }
+
+  async removeOldHighlights(daysToKeep) {
     try {
-      const highlights = await this.getHighlights();
       const cutoffDate = Date.now() - daysToKeep * 24 * 60 * 60 * 1000;
+      const removedIds = await this.store.deleteBefore(cutoffDate);
 
-      const filtered = highlights.filter((h) => h.timestamp > cutoffDate);
-
-      if (filtered.length !== highlights.length) {
-        await chrome.storage.local.set({ highlights: filtered });
+      if (removedIds.length > 0) {
+        await this.removeFromAllCollections(removedIds);
         this.notifyTabsAboutUpdate();
       }
 
-      return filtered.length;
+      return await this.store.count();
     } catch (error) {
       console.error("Failed to cleanup old highlights:", error);
       throw new Error("Failed to cleanup old highlights: " + error.message);
     }
   }
 
-  // Summarize highlight functionality
-  async summarizeHighlight(request) {
+  // A summary streamed over a port. The content script posts the same
+  // request as the summarizeHighlight action and gets back
+  // { type: "text", text } for each piece of the summary, then
+  // { type: "done", summary } or { type: "error", error, stopped }.
+  // Disconnecting stops the request
+  handleSummaryPort(port) {
+    let requestId = null;
+
+    port.onMessage.addListener(async (request) => {
+      if (request.action !== "summarizeHighlight" || requestId) return;
+      requestId = request.requestId;
+
+      try {
+        const summary = await this.summarizeHighlight(request, (text) =>
+          this.postToPort(port, { type: "text", text })
+        );
+        this.postToPort(port, { type: "done", summary });
+      } catch (error) {
+        this.postToPort(port, {
+          type: "error",
+          error: error.message,
+          stopped: error.name === "AbortError",
+        });
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (requestId) this.cancelAIRequest(requestId);
+    });
+  }
+
+  postToPort(port, message) {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      // The page went away; disconnecting already stopped the request
+    }
+  }
+
+  // Stop a summary in progress; false when there is none with requestId
+  cancelAIRequest(requestId) {
+    const controller = this.aiRequests.get(requestId);
+    if (!controller) return false;
+
+    controller.abort();
+    return true;
+  }
+
+  // Summarize highlight functionality. onText, when given, receives the
+  // summary piece by piece as the provider writes it
+  async summarizeHighlight(request, onText) {
+    let controller = null;
+
     try {
       // Validate request
       if (!request.requestId || !request.highlight || !request.cacheKey) {
         throw new Error("Invalid request: missing required fields");
       }
 
-      // Check cache first
-      const cachedSummary = await this.getCachedSummary(request.cacheKey);
+      // Registered before anything is awaited, so cancelAIRequest (or the
+      // port disconnecting) stops the request at any point
+      controller = new AbortController();
+      this.aiRequests.set(request.requestId, controller);
+
+      await this.ready;
+      this.throwIfStopped(controller.signal);
+
+      // Check cache first; summaries are only reused while the AI
+      // settings that made them are unchanged
+      const settings = await this.getAISettings();
+      const source = this.summarySource(settings);
+      const cachedSummary = await this.getCachedSummary(
+        request.cacheKey,
+        source
+      );
+      this.throwIfStopped(controller.signal);
       if (cachedSummary) {
         return cachedSummary;
       }
@@ -317,29 +2667,58 @@ class BackgroundService {
       // Validate and sanitize highlight data
       const sanitizedHighlight = this.sanitizeHighlight(request.highlight);
 
-      // Get configuration
-      const config = await this.getConfig();
-
-      // Perform OpenAI API call
-      const summary = await this.callOpenAI(sanitizedHighlight, config);
+      // Ask the AI provider chosen in the options
+      const summary = await this.callAIProvider(sanitizedHighlight, settings, {
+        signal: controller.signal,
+        onText,
+      });
 
       // Cache the result
-      await this.cacheSummary(request.cacheKey, summary);
+      await this.cacheSummary(request.cacheKey, summary, source);
 
       return summary;
     } catch (error) {
+      // Stopping isn't a failure
+      if (error.name === "AbortError") throw error;
       console.error("Summarize highlight failed:", error);
       throw new Error("Failed to summarize: " + error.message);
+    } finally {
+      if (controller && this.aiRequests.get(request.requestId) === controller) {
+        this.aiRequests.delete(request.requestId);
+      }
+    }
+  }
+
+  // A stopped summary ends with an AbortError, like a stopped fetch
+  throwIfStopped(signal) {
+    if (signal.aborted) {
+      throw new DOMException("Summary stopped", "AbortError");
     }
   }
 
-  async getCachedSummary(cacheKey) {
+  // Fingerprint of the settings a summary is made with
+  summarySource(settings) {
+    return TextUtils.hash(
+      JSON.stringify([
+        settings.provider,
+        settings.providers[settings.provider],
+        settings.maxTokens,
+        settings.temperature,
+      ])
+    );
+  }
+
+  async getCachedSummary(cacheKey, source) {
     try {
       const result = await chrome.storage.local.get(["summaryCache"]);
       const cache = result.summaryCache || {};
 
       const cached = cache[cacheKey];
-      if (cached && Date.now() - cached.timestamp < 300000) {
+      if (
+        cached &&
+        cached.source === source &&
+        Date.now() - cached.timestamp < 300000
+      ) {
         // 5 minutes
         return cached.summary;
       }
@@ -351,7 +2730,15 @@ class BackgroundService {
     }
   }
 
-  async cacheSummary(cacheKey, summary) {
+  async cacheSummary(cacheKey, summary, source) {
+    // Summaries finish at arbitrary times, so the cache update is queued
+    // with the other writes
+    return this.writes.run(() =>
+      this.writeSummaryCache(cacheKey, summary, source)
+    );
+  }
+
+  async writeSummaryCache(cacheKey, summary, source) {
     try {
       const result = await chrome.storage.local.get(["summaryCache"]);
       const cache = result.summaryCache || {};
@@ -370,6 +2757,7 @@ class BackgroundService {
 
       cache[cacheKey] = {
         summary: summary,
+        source: source,
         timestamp: Date.now(),
       };
 
@@ -393,10 +2781,133 @@ class BackgroundService {
     };
   }
 
-  async getConfig() {
+  // Stored AI settings, with every provider's defaults filled in
+  async getAISettings() {
+    const { aiSettings } = await chrome.storage.local.get(["aiSettings"]);
+    const stored = aiSettings || {};
+    const settings = {
+      ...BackgroundService.DEFAULT_AI_SETTINGS,
+      ...stored,
+      providers: {},
+    };
+
+    if (!AIProvider.PROVIDERS[settings.provider]) {
+      settings.provider = BackgroundService.DEFAULT_AI_SETTINGS.provider;
+    }
+    AIProvider.list().forEach(({ id, defaultModel, defaultBaseUrl }) => {
+      settings.providers[id] = {
+        apiKey: "",
+        model: defaultModel,
+        baseUrl: defaultBaseUrl,
+        ...((stored.providers && stored.providers[id]) || {}),
+      };
+    });
+
+    return settings;
+  }
+
+  // settings is { provider, maxTokens, temperature, providers }, where
+  // providers maps provider ids to { apiKey, model, baseUrl }
+  async saveAISettings(settings = {}) {
+    const current = await this.getAISettings();
+    const aiSettings = {
+      provider: String(settings.provider ?? current.provider),
+      maxTokens: Number(settings.maxTokens ?? current.maxTokens),
+      temperature: Number(settings.temperature ?? current.temperature),
+      providers: {},
+    };
+
+    if (!AIProvider.PROVIDERS[aiSettings.provider]) {
+      throw new Error(`Unknown AI provider: ${aiSettings.provider}`);
+    }
+    if (
+      !Number.isInteger(aiSettings.maxTokens) ||
+      aiSettings.maxTokens < 1 ||
+      aiSettings.maxTokens > 4096
+    ) {
+      throw new Error("Max tokens must be a whole number (1-4096)");
+    }
+    if (
+      !Number.isFinite(aiSettings.temperature) ||
+      aiSettings.temperature < 0 ||
+      aiSettings.temperature > 2
+    ) {
+      throw new Error("Temperature must be between 0 and 2");
+    }
+
+    Object.entries(current.providers).forEach(([id, provider]) => {
+      const updates = (settings.providers && settings.providers[id]) || {};
+      const next = {
+        apiKey: String(updates.apiKey ?? provider.apiKey).trim(),
+        model: String(updates.model ?? provider.model).trim(),
+        baseUrl: String(updates.baseUrl ?? provider.baseUrl)
+          .trim()
+          .replace(/\/+$/, ""),
+      };
+      const name = AIProvider.PROVIDERS[id].NAME;
+
+      if (!next.model) {
+        throw new Error(`Enter a model for ${name}`);
+      }
+      if (!/^https?:\/\/[^/]/i.test(next.baseUrl)) {
+        throw new Error(
+          `The ${name} base URL must start with http:// or https://`
+        );
+      }
+      aiSettings.providers[id] = next;
+    });
+
+    try {
+      await chrome.storage.local.set({ aiSettings });
+      return aiSettings;
+    } catch (error) {
+      console.error("Failed to save AI settings:", error);
+      throw new Error("Failed to save AI settings: " + error.message);
+    }
+  }
+
+  // Whether summaries can be requested with the current settings. The
+  // provider isn't contacted; the options page tests the connection
+  async getAIServiceStatus() {
+    const settings = await this.getAISettings();
+    const provider = settings.providers[settings.provider];
+    const { NAME, REQUIRES_KEY } = AIProvider.PROVIDERS[settings.provider];
+    const error =
+      REQUIRES_KEY && !provider.apiKey
+        ? `Add an API key for ${NAME} in the options`
+        : null;
+
+    return {
+      available: !error,
+      error,
+      provider: settings.provider,
+      model: provider.model,
+    };
+  }
+
+  // AI used to be configured in an env.config file bundled with the
+  // extension and readable by any web page. Copy it into the settings
+  // once; after that the file is ignored and can be deleted
+  async migrateLegacyAIConfig() {
+    try {
+      const { aiSettings } = await chrome.storage.local.get(["aiSettings"]);
+      if (aiSettings) return;
+
+      const legacy = await this.getLegacyAISettings();
+      if (legacy.provider) {
+        await this.saveAISettings(legacy);
+        console.log("Moved AI settings from env.config to the options");
+      }
+    } catch (error) {
+      console.warn("Failed to read AI settings from env.config:", error);
+    }
+  }
+
+  // OpenAI settings from an env.config file; empty when there is none
+  async getLegacyAISettings() {
     try {
-      // Load config from env.config file
       const response = await fetch(chrome.runtime.getURL("env.config"));
+      if (!response.ok) return {};
       const envText = await response.text();
 
       const config = {};
@@ -412,21 +2923,31 @@ class BackgroundService {
         }
       }
 
-      if (!config.OPENAI_API_KEY) {
-        throw new Error("OpenAI API key not found in env.config");
-      }
+      if (!config.OPENAI_API_KEY) return {};
 
-      return config;
+      const settings = {
+        provider: "openai",
+        providers: { openai: { apiKey: config.OPENAI_API_KEY } },
+      };
+      if (config.AI_MODEL) {
+        settings.providers.openai.model = config.AI_MODEL;
+      }
+      if (parseInt(config.AI_MAX_TOKENS)) {
+        settings.maxTokens = parseInt(config.AI_MAX_TOKENS);
+      }
+      if (parseFloat(config.AI_TEMPERATURE)) {
+        settings.temperature = parseFloat(config.AI_TEMPERATURE);
+      }
+      return settings;
     } catch (error) {
-      console.error("Failed to load config:", error);
-      throw new Error("Configuration error: " + error.message);
+      return {};
     }
   }
 
-  async callOpenAI(highlight, config) {
-    try {
-      // Format the prompt using the SUMMARIZE_HIGHLIGHT template
-      const systemPrompt = `You are a helpful AI assistant that summarizes highlighted text from web pages. 
+  // The summary prompt for a highlight, as { system, prompt }
+  buildSummaryPrompt(highlight) {
+    // Format the prompt using the SUMMARIZE_HIGHLIGHT template
+    const system = `You are a helpful AI assistant that summarizes highlighted text from web pages. 
 Your task is to provide concise, accurate summaries that capture the key points and context.
 
 Guidelines:
@@ -436,7 +2957,7 @@ Guidelines:
 - Use clear, readable language
 - Avoid repetition or unnecessary details`;
 
-      const userPrompt = `Please summarize this highlighted text from a webpage:
+    const prompt = `Please summarize this highlighted text from a webpage:
 
 Highlight: "${highlight.text}"
 Page Title: "${highlight.title}"
@@ -445,42 +2966,28 @@ Context: "${highlight.pageText || ""}"
 
 Provide a concise summary that captures the key points:`;
 
-      const response = await fetch(
-        "https://api.openai.com/v1/chat/completions",
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${config.OPENAI_API_KEY}`,
-          },
-          body: JSON.stringify({
-            model: config.AI_MODEL || "gpt-4",
-            messages: [
-              {
-                role: "system",
-                content: systemPrompt,
-              },
-              { role: "user", content: userPrompt },
-            ],
-            max_tokens: parseInt(config.AI_MAX_TOKENS) || 150,
-            temperature: parseFloat(config.AI_TEMPERATURE) || 0.8,
-          }),
-        }
-      );
+    return { system, prompt };
+  }
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          `OpenAI API error: ${response.status} - ${
-            errorData.error?.message || "Unknown error"
-          }`
-        );
-      }
+  // options are passed on to the provider: { signal, onText }
+  async callAIProvider(highlight, settings, options = {}) {
+    try {
+      const provider = AIProvider.create(
+        settings.provider,
+        settings.providers[settings.provider]
+      );
 
-      const data = await response.json();
-      return data.choices[0].message.content.trim();
+      return await provider.complete(
+        {
+          ...this.buildSummaryPrompt(highlight),
+          maxTokens: settings.maxTokens,
+          temperature: settings.temperature,
+        },
+        options
+      );
     } catch (error) {
-      console.error("OpenAI API call failed:", error);
+      if (error.name === "AbortError") throw error;
+      console.error("AI provider call failed:", error);
       throw new Error("API call failed: " + error.message);
     }
   }
@@ -507,6 +3014,7 @@ Provide a concise summary that captures the key points:`;
         status: "healthy",
         highlightsCount: highlights.length,
         storageUsage: usage,
+        pendingWrites: this.writes.pending,
         timestamp: Date.now(),
       };
     } catch (error) {
@@ -0,0 +1,351 @@
+// AI providers for summaries
+// Each provider sends a system prompt and a user prompt to its HTTP API and
+// resolves with the completion text. Providers are picked by id in the AI
+// settings, and each one has its own { apiKey, model, baseUrl }:
+//   openai      OpenAI chat completions
+//   anthropic   Anthropic Messages API
+//   compatible  any server with an OpenAI-style /chat/completions endpoint,
+//               e.g. Ollama or the llama.cpp server, usually without a key
+// With onText, the completion is streamed as server-sent events and passed
+// on piece by piece. A request stopped through its signal rejects with an
+// AbortError, so callers can tell it apart from a failure
+
+class AIProvider {
+  // Shorter than the content script's 30 second wait for a reply, so a
+  // slow provider is reported as such. A stream only times out when it
+  // goes quiet for this long
+  static TIMEOUT = 25000;
+
+  constructor(settings = {}) {
+    const type = this.constructor;
+    this.apiKey = String(settings.apiKey || "").trim();
+    this.model = String(settings.model || "").trim() || type.DEFAULT_MODEL;
+    this.baseUrl = (
+      String(settings.baseUrl || "").trim() || type.DEFAULT_BASE_URL
+    ).replace(/\/+$/, "");
+  }
+
+  // Create the provider registered under id
+  static create(id, settings) {
+    const Provider = AIProvider.PROVIDERS[id];
+    if (!Provider) {
+      throw new Error(`Unknown AI provider: ${id}`);
+    }
+    return new Provider(settings);
+  }
+
+  // Id, name and defaults of every provider, for settings pages
+  static list() {
+    return Object.entries(AIProvider.PROVIDERS).map(([id, Provider]) => ({
+      id,
+      name: Provider.NAME,
+      defaultModel: Provider.DEFAULT_MODEL,
+      defaultBaseUrl: Provider.DEFAULT_BASE_URL,
+      requiresKey: Provider.REQUIRES_KEY,
+    }));
+  }
+
+  get name() {
+    return this.constructor.NAME;
+  }
+
+  // Resolve with the completion for { system, prompt, maxTokens,
+  // temperature }. Options: signal stops the request, and onText(piece)
+  // streams the completion as it is written
+  async complete(request, { signal, onText } = {}) {
+    if (this.constructor.REQUIRES_KEY && !this.apiKey) {
+      throw new Error(`Add an API key for ${this.name} in the options`);
+    }
+
+    const watch = this.watch(signal);
+    try {
+      const response = await this.post(
+        this.path(),
+        this.body({ ...request, stream: Boolean(onText) }),
+        watch
+      );
+
+      let text;
+      if (onText && this.isStream(response)) {
+        text = await this.readStream(response, onText, watch);
+      } else {
+        // Some compatible servers answer in one piece even when asked to
+        // stream
+        text = this.parse(await this.readJson(response, watch));
+        if (onText && typeof text === "string") onText(text);
+      }
+
+      if (typeof text !== "string") {
+        throw new Error(`Unexpected response from ${this.name}`);
+      }
+      return text.trim();
+    } finally {
+      watch.done();
+    }
+  }
+
+  // An abort signal for one request, which fires when the caller's signal
+  // does or after TIMEOUT without progress
+  watch(callerSignal) {
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    let timer = null;
+
+    const watch = {
+      signal: controller.signal,
+      stopped: () => Boolean(callerSignal && callerSignal.aborted),
+      restart: () => {
+        clearTimeout(timer);
+        timer = setTimeout(stop, AIProvider.TIMEOUT);
+      },
+      done: () => {
+        clearTimeout(timer);
+        if (callerSignal) callerSignal.removeEventListener("abort", stop);
+      },
+    };
+
+    if (callerSignal) {
+      if (callerSignal.aborted) controller.abort();
+      callerSignal.addEventListener("abort", stop);
+    }
+    watch.restart();
+    return watch;
+  }
+
+  // The error for a fetch or read that failed with error
+  connectionError(error, watch, message) {
+    if (watch.stopped()) {
+      return new DOMException(`${this.name} request stopped`, "AbortError");
+    }
+    return new Error(
+      error.name === "AbortError"
+        ? `${this.name} didn't answer in time`
+        : message
+    );
+  }
+
+  // POST JSON to the API; anything but a 2xx rejects with the API's message
+  // when it sent one
+  async post(path, body, watch) {
+    if (!/^https?:\/\//i.test(this.baseUrl)) {
+      throw new Error(`Set an http(s) base URL for ${this.name}`);
+    }
+
+    let response;
+    try {
+      response = await fetch(this.baseUrl + path, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...this.headers() },
+        body: JSON.stringify(body),
+        signal: watch.signal,
+      });
+    } catch (error) {
+      throw this.connectionError(
+        error,
+        watch,
+        `Couldn't reach ${this.name} at ${this.baseUrl}`
+      );
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(
+        `${this.name} API error: ${response.status} - ${
+          this.errorMessage(data) || response.statusText || "Unknown error"
+        }`
+      );
+    }
+    return response;
+  }
+
+  // The body of a one-piece answer, or null when it isn't JSON. Stopping
+  // or timing out while it downloads rejects like a failed fetch
+  async readJson(response, watch) {
+    try {
+      return await response.json();
+    } catch (error) {
+      if (error.name === "AbortError" || watch.stopped()) {
+        throw this.connectionError(
+          error,
+          watch,
+          `Lost the connection to ${this.name}`
+        );
+      }
+      return null;
+    }
+  }
+
+  errorMessage(data) {
+    return (
+      data?.error?.message || (typeof data?.error === "string" && data.error)
+    );
+  }
+
+  isStream(response) {
+    return /text\/event-stream/i.test(
+      (response.headers && response.headers.get("Content-Type")) || ""
+    );
+  }
+
+  // Read server-sent events, passing the text of each one to onText;
+  // resolves with the whole text
+  async readStream(response, onText, watch) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let text = "";
+
+    const handleLine = (line) => {
+      if (!line.startsWith("data:")) return;
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") return;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+
+      const message = this.errorMessage(event);
+      if (message) {
+        throw new Error(`${this.name} API error: ${message}`);
+      }
+      const piece = this.parseEvent(event);
+      if (piece) {
+        text += piece;
+        onText(piece);
+      }
+    };
+
+    try {
+      for (;;) {
+        let chunk;
+        try {
+          chunk = await reader.read();
+        } catch (error) {
+          throw this.connectionError(
+            error,
+            watch,
+            `Lost the connection to ${this.name}`
+          );
+        }
+        if (chunk.done) break;
+
+        watch.restart();
+        buffer += decoder.decode(chunk.value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer + decoder.decode());
+    } finally {
+      reader.releaseLock();
+    }
+
+    return text;
+  }
+}
+
+class OpenAIProvider extends AIProvider {
+  static NAME = "OpenAI";
+  static DEFAULT_BASE_URL = "https://api.openai.com/v1";
+  static DEFAULT_MODEL = "gpt-4";
+  static REQUIRES_KEY = true;
+
+  path() {
+    return "/chat/completions";
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  body({ system, prompt, maxTokens, temperature, stream }) {
+    return {
+      model: this.model,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: prompt },
+      ],
+      max_tokens: maxTokens,
+      temperature,
+      ...(stream ? { stream: true } : {}),
+    };
+  }
+
+  parse(data) {
+    return data?.choices?.[0]?.message?.content;
+  }
+
+  parseEvent(event) {
+    return event?.choices?.[0]?.delta?.content;
+  }
+}
+
+// Local servers usually run without a key, so one is only sent when set
+class OpenAICompatibleProvider extends OpenAIProvider {
+  static NAME = "OpenAI-compatible server";
+  static DEFAULT_BASE_URL = "http://localhost:11434/v1";
+  static DEFAULT_MODEL = "llama3.1";
+  static REQUIRES_KEY = false;
+}
+
+class AnthropicProvider extends AIProvider {
+  static NAME = "Anthropic";
+  static DEFAULT_BASE_URL = "https://api.anthropic.com/v1";
+  static DEFAULT_MODEL = "claude-3-5-haiku-latest";
+  static REQUIRES_KEY = true;
+  static API_VERSION = "2023-06-01";
+
+  path() {
+    return "/messages";
+  }
+
+  // The last header allows calls from an extension, which has no server
+  // of its own to keep the key on
+  headers() {
+    return {
+      "x-api-key": this.apiKey,
+      "anthropic-version": AnthropicProvider.API_VERSION,
+      "anthropic-dangerous-direct-browser-access": "true",
+    };
+  }
+
+  body({ system, prompt, maxTokens, temperature, stream }) {
+    return {
+      model: this.model,
+      system,
+      messages: [{ role: "user", content: prompt }],
+      max_tokens: maxTokens,
+      // Anthropic takes 0 to 1
+      temperature: Math.min(temperature, 1),
+      ...(stream ? { stream: true } : {}),
+    };
+  }
+
+  parse(data) {
+    if (!Array.isArray(data?.content)) return undefined;
+    return data.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+
+  parseEvent(event) {
+    return event?.type === "content_block_delta" &&
+      event.delta?.type === "text_delta"
+      ? event.delta.text
+      : undefined;
+  }
+}
+
+// Provider id -> class; the first one is the default
+AIProvider.PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  compatible: OpenAICompatibleProvider,
+};
+
+// Make the providers available to the service worker
+self.AIProvider = AIProvider;
@@ -0,0 +1,128 @@
+// Passphrase-encrypted backups using WebCrypto
+// The key is derived from the passphrase with PBKDF2 (SHA-256) and a random
+// salt; the backup is encrypted with AES-GCM, which also detects a wrong
+// passphrase or a damaged file. Everything needed to decrypt except the
+// passphrase is stored next to the ciphertext
+
+class BackupCrypto {
+  static FORMAT = "highlight-saver-encrypted";
+  static VERSION = 1;
+  static ITERATIONS = 310000;
+  static MIN_PASSPHRASE_LENGTH = 8;
+
+  // Encrypt a string; resolves with the JSON-ready encrypted envelope
+  static async encrypt(plaintext, passphrase) {
+    if (!passphrase || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(
+        `Passphrase must be at least ${this.MIN_PASSPHRASE_LENGTH} characters`
+      );
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(plaintext)
+    );
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      kdf: {
+        name: "PBKDF2",
+        hash: "SHA-256",
+        iterations: this.ITERATIONS,
+        salt: this.toBase64(salt),
+      },
+      cipher: { name: "AES-GCM", iv: this.toBase64(iv) },
+      data: this.toBase64(new Uint8Array(ciphertext)),
+    };
+  }
+
+  // Decrypt an envelope made by encrypt(). A wrong passphrase rejects with
+  // an error whose code is "WRONG_PASSPHRASE"
+  static async decrypt(backup, passphrase) {
+    if (!this.isEncrypted(backup)) {
+      throw new Error("Not an encrypted backup");
+    }
+    if (backup.version > this.VERSION) {
+      throw new Error(
+        "This backup was made by a newer version of Highlight Saver"
+      );
+    }
+    // Version 1 always uses ITERATIONS; any other count comes from an
+    // altered file and could make key derivation hang or be trivially weak
+    if (backup.kdf.iterations !== this.ITERATIONS) {
+      throw new Error("Unsupported key derivation settings in backup");
+    }
+
+    let plaintext;
+    try {
+      const key = await this.deriveKey(
+        passphrase || "",
+        this.fromBase64(backup.kdf.salt),
+        backup.kdf.iterations
+      );
+      plaintext = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: this.fromBase64(backup.cipher.iv) },
+        key,
+        this.fromBase64(backup.data)
+      );
+    } catch (error) {
+      // AES-GCM can't tell a wrong key from altered data
+      const wrongPassphrase = new Error(
+        "Wrong passphrase, or the backup file is damaged"
+      );
+      wrongPassphrase.code = "WRONG_PASSPHRASE";
+      throw wrongPassphrase;
+    }
+
+    return new TextDecoder().decode(plaintext);
+  }
+
+  static isEncrypted(data) {
+    return Boolean(
+      data &&
+        data.format === this.FORMAT &&
+        data.kdf &&
+        data.cipher &&
+        typeof data.data === "string"
+    );
+  }
+
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  static toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  }
+}
+
+// Make BackupCrypto available to the service worker
+self.BackupCrypto = BackupCrypto;
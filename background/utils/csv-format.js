@@ -0,0 +1,274 @@
+// CSV export/import, including the Readwise CSV format
+// Parsing and writing follow RFC 4180: quoted fields may contain commas,
+// quotes ("") and line breaks. Exported text that a spreadsheet would run
+// as a formula is prefixed with ' and the import takes the prefix off
+
+class CsvFormat {
+  // Columns available for the plain CSV export, in display order
+  static COLUMNS = {
+    id: { header: "ID", value: (h) => h.id },
+    text: { header: "Text", value: (h) => h.text },
+    note: { header: "Note", value: (h) => h.note || "" },
+    tags: { header: "Tags", value: (h) => (h.tags || []).join(", ") },
+    color: { header: "Color", value: (h) => h.color || "" },
+    title: { header: "Title", value: (h) => h.title || "" },
+    url: { header: "URL", value: (h) => h.url || "" },
+    domain: { header: "Domain", value: (h) => h.domain || "" },
+    created: {
+      header: "Created",
+      value: (h) => (h.timestamp ? new Date(h.timestamp).toISOString() : ""),
+    },
+    updated: {
+      header: "Updated",
+      value: (h) => (h.updatedAt ? new Date(h.updatedAt).toISOString() : ""),
+    },
+  };
+
+  static DEFAULT_COLUMNS = ["text", "note", "tags", "title", "url", "created"];
+
+  // Cells starting with one of these are formulas in Excel and Sheets
+  static FORMULA_START = /^[=+\-@\t\r]/;
+
+  // Readwise's CSV upload template
+  static READWISE_HEADERS = [
+    "Highlight",
+    "Title",
+    "Author",
+    "URL",
+    "Note",
+    "Location",
+    "Date",
+  ];
+
+  // Export highlights with the chosen columns
+  static export(highlights, columns = this.DEFAULT_COLUMNS) {
+    const keys = columns.filter((key) => this.COLUMNS[key]);
+    if (keys.length === 0) {
+      throw new Error("Choose at least one CSV column");
+    }
+
+    const rows = [keys.map((key) => this.COLUMNS[key].header)];
+    highlights.forEach((highlight) => {
+      rows.push(
+        keys.map((key) => this.protectCell(this.COLUMNS[key].value(highlight)))
+      );
+    });
+
+    return this.stringify(rows);
+  }
+
+  // Export highlights in Readwise's upload format. Readwise reads tags
+  // written as ".tag" in the note, so tags are appended there. Kindle
+  // bookmarks have no text and are left out
+  static exportReadwise(highlights) {
+    const rows = [this.READWISE_HEADERS];
+
+    highlights
+      .filter((highlight) => highlight.text)
+      .forEach((highlight) => {
+        const tagLine = (highlight.tags || [])
+          .map((tag) => `.${tag.replace(/\s+/g, "-")}`)
+          .join(" ");
+        const note = [highlight.note || "", tagLine]
+          .filter((part) => part.trim())
+          .join("\n");
+
+        rows.push(
+          [
+            highlight.text,
+            highlight.title || highlight.url || "",
+            highlight.author || "",
+            highlight.url || "",
+            note,
+            highlight.kindle && highlight.kindle.location
+              ? highlight.kindle.location.start
+              : "",
+            highlight.timestamp
+              ? this.formatReadwiseDate(highlight.timestamp)
+              : "",
+          ].map((value) => this.protectCell(value))
+        );
+      });
+
+    return this.stringify(rows);
+  }
+
+  // Turn a Readwise CSV (upload template or Readwise export) into
+  // highlight objects. Returns { highlights, skipped }
+  static importReadwise(text) {
+    const [header, ...rows] = this.parse(text);
+    if (!header) {
+      throw new Error("The CSV file is empty");
+    }
+
+    const column = this.columnFinder(header);
+    const textColumn = column("Highlight", "Text");
+    if (textColumn === -1) {
+      throw new Error('Not a Readwise CSV: missing a "Highlight" column');
+    }
+
+    const titleColumn = column("Title", "Book Title");
+    const urlColumn = column("URL", "Source URL");
+    const noteColumn = column("Note");
+    const tagsColumn = column("Tags");
+    const dateColumn = column("Date", "Highlighted at", "Highlighted At");
+    const colorColumn = column("Color");
+
+    const highlights = [];
+    let skipped = 0;
+
+    rows.forEach((row) => {
+      const value = (index) =>
+        index === -1 ? "" : this.unprotectCell(row[index] || "").trim();
+      const highlightText = value(textColumn);
+      const url = value(urlColumn);
+
+      if (!highlightText || !url) {
+        skipped++;
+        return;
+      }
+
+      const { note, tags: noteTags } = this.splitNoteTags(value(noteColumn));
+      const tags = TagUtils.normalize(
+        TagUtils.parse(value(tagsColumn)).concat(noteTags)
+      );
+      const timestamp = this.parseDate(value(dateColumn)) || Date.now();
+
+      // Ids come from the content so importing the same file twice
+      // updates the highlights instead of duplicating them
+      highlights.push({
+        id: `rw_${TextUtils.hash(url)}_${TextUtils.hash(highlightText)}`,
+        text: highlightText,
+        url,
+        title: value(titleColumn) || url,
+        domain: TextUtils.domainOf(url),
+        timestamp,
+        note,
+        tags,
+        color: HighlightColors.normalize(value(colorColumn).toLowerCase()),
+        selectors: [],
+        source: "readwise",
+      });
+    });
+
+    return { highlights, skipped };
+  }
+
+  // Header lookup that ignores case and surrounding spaces
+  static columnFinder(header) {
+    const names = header.map((name) => name.trim().toLowerCase());
+    return (...candidates) => {
+      for (const candidate of candidates) {
+        const index = names.indexOf(candidate.toLowerCase());
+        if (index !== -1) return index;
+      }
+      return -1;
+    };
+  }
+
+  // A last note line made only of ".tag" words holds Readwise inline tags
+  static splitNoteTags(note) {
+    const lines = note.split(/\r?\n/);
+    const last = lines[lines.length - 1].trim();
+
+    if (lines.length > 0 && /^(\.[^\s.]\S*\s*)+$/.test(last)) {
+      return {
+        note: lines.slice(0, -1).join("\n").trim(),
+        tags: last.split(/\s+/).map((tag) => tag.substring(1)),
+      };
+    }
+
+    return { note, tags: [] };
+  }
+
+  // Readwise uses "YYYY-MM-DD HH:MM:SS" in UTC
+  static formatReadwiseDate(timestamp) {
+    return new Date(timestamp).toISOString().replace("T", " ").substring(0, 19);
+  }
+
+  static parseDate(value) {
+    if (!value) return null;
+
+    const utc = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value)
+      ? value.replace(" ", "T") + "Z"
+      : value;
+    const time = Date.parse(utc);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  // Parse CSV text into an array of rows
+  static parse(text) {
+    const input = String(text).replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && input[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter((r) => r.length > 1 || r[0] !== "");
+  }
+
+  // Write rows as CSV text
+  static stringify(rows) {
+    return (
+      rows
+        .map((row) => row.map((value) => this.escapeField(value)).join(","))
+        .join("\r\n") + "\r\n"
+    );
+  }
+
+  // Highlights and notes come from any web page, so text that would start
+  // a formula is kept as text
+  static protectCell(value) {
+    return typeof value === "string" && this.FORMULA_START.test(value)
+      ? `'${value}`
+      : value;
+  }
+
+  static unprotectCell(value) {
+    return value.startsWith("'") && this.FORMULA_START.test(value.slice(1))
+      ? value.slice(1)
+      : value;
+  }
+
+  static escapeField(value) {
+    const text = String(value === undefined || value === null ? "" : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Make CsvFormat available to the service worker
+self.CsvFormat = CsvFormat;
@@ -0,0 +1,178 @@
+// Versioned export envelope, record validation and schema migrations
+//
+// Every JSON export is wrapped in the same envelope:
+//   {
+//     format: "highlight-saver",
+//     schemaVersion: 3,          // version of the highlight records
+//     appVersion: "1.0.0",       // extension version that wrote the file
+//     exportedAt: "2024-01-01T00:00:00.000Z",
+//     highlights: [ ... ],
+//     collection: { ... },       // only in collection exports
+//     collections: [ ... ],      // only in full (encrypted) backups,
+//     settings: { ... },         // along with the summary cache
+//     summaryCache: { ... }      // when it was included
+//   }
+//
+// Schema versions:
+//   1  id, text, url, title, domain, timestamp, pageText, textPosition.
+//      Files were a bare array or { highlights, exportDate, version }
+//   2  adds color, note, tags and selectors
+//   3  adds revisions, the per-field clocks used to merge versions from
+//      different devices (see HighlightMerge)
+//
+// To change the record shape, bump SCHEMA_VERSION and add a migration from
+// the previous version. Old backups and stored highlights are brought up
+// to date by running every migration after their version in turn
+
+class ExportSchema {
+  static FORMAT = "highlight-saver";
+  static SCHEMA_VERSION = 3;
+
+  // MIGRATIONS[n] turns a version n record into a version n + 1 record
+  static MIGRATIONS = {
+    1: (highlight) => ({
+      ...highlight,
+      color: HighlightColors.normalize(highlight.color),
+      note: typeof highlight.note === "string" ? highlight.note : "",
+      tags: TagUtils.normalize(highlight.tags),
+      selectors: Array.isArray(highlight.selectors) ? highlight.selectors : [],
+    }),
+    // Existing values count as the ones each highlight was created with
+    2: (highlight) => ({
+      ...highlight,
+      revisions: HighlightMerge.isRevisions(highlight.revisions)
+        ? highlight.revisions
+        : {},
+    }),
+  };
+
+  // Wrap highlights (and any extra fields) in the export envelope
+  static wrap(highlights, extra = {}) {
+    return {
+      format: this.FORMAT,
+      schemaVersion: this.SCHEMA_VERSION,
+      appVersion: chrome.runtime.getManifest().version,
+      exportedAt: new Date().toISOString(),
+      ...extra,
+      highlights,
+    };
+  }
+
+  // Read an export of any version. Returns { highlights, schemaVersion,
+  // collection } with the highlights migrated to the current schema
+  static unwrap(data) {
+    let highlights;
+    let schemaVersion = 1;
+
+    if (Array.isArray(data)) {
+      highlights = data;
+    } else if (data && Array.isArray(data.highlights)) {
+      highlights = data.highlights;
+      if (data.schemaVersion !== undefined) {
+        schemaVersion = data.schemaVersion;
+      }
+    } else {
+      throw new Error(
+        "Invalid import format - expected an export file or an array of highlights"
+      );
+    }
+
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+      throw new Error(`Unknown schema version: ${schemaVersion}`);
+    }
+    if (schemaVersion > this.SCHEMA_VERSION) {
+      throw new Error(
+        "This file was made by a newer version of Highlight Saver. Update the extension to import it"
+      );
+    }
+
+    return {
+      highlights: highlights.map((highlight) =>
+        this.migrate(highlight, schemaVersion)
+      ),
+      schemaVersion,
+      collection: data.collection || null,
+    };
+  }
+
+  // Bring a record from fromVersion up to the current schema. Records
+  // that aren't objects are left for the validator to report
+  static migrate(highlight, fromVersion) {
+    if (!highlight || typeof highlight !== "object") {
+      return highlight;
+    }
+
+    let result = highlight;
+    for (let version = fromVersion; version < this.SCHEMA_VERSION; version++) {
+      result = this.MIGRATIONS[version](result);
+    }
+    return result;
+  }
+
+  // List what is wrong with a current-schema record; empty when valid.
+  // Kindle clippings have a book title instead of a URL, and Kindle
+  // bookmarks have no text. Records made from other formats have no
+  // revisions yet; they get them when stored
+  static validate(highlight) {
+    if (
+      !highlight ||
+      typeof highlight !== "object" ||
+      Array.isArray(highlight)
+    ) {
+      return ["Not a highlight object"];
+    }
+
+    const errors = [];
+    const isKindle = highlight.source === KindleClippings.SOURCE;
+    const isBookmark = isKindle && highlight.kindle?.clipping === "bookmark";
+
+    if (typeof highlight.id !== "string" || !highlight.id) {
+      errors.push("Missing id");
+    }
+    if (!Number.isFinite(highlight.timestamp) || highlight.timestamp <= 0) {
+      errors.push("Missing or invalid timestamp");
+    }
+    if (
+      typeof highlight.text !== "string" ||
+      (!highlight.text && !isBookmark)
+    ) {
+      errors.push("Missing text");
+    }
+    if (isKindle) {
+      if (typeof highlight.title !== "string" || !highlight.title) {
+        errors.push("Missing book title");
+      }
+    } else if (typeof highlight.url !== "string" || !highlight.url) {
+      errors.push("Missing URL");
+    }
+    if (typeof highlight.note !== "string") {
+      errors.push("note must be text");
+    }
+    if (
+      !Array.isArray(highlight.tags) ||
+      highlight.tags.some((tag) => typeof tag !== "string")
+    ) {
+      errors.push("tags must be a list of text");
+    }
+    if (typeof highlight.color !== "string") {
+      errors.push("color must be text");
+    }
+    if (
+      !Array.isArray(highlight.selectors) ||
+      highlight.selectors.some((s) => !s || typeof s.type !== "string")
+    ) {
+      errors.push("selectors must be a list of selector objects");
+    }
+    if (
+      highlight.revisions !== undefined &&
+      !HighlightMerge.isRevisions(highlight.revisions)
+    ) {
+      errors.push("revisions must map fields to clocks");
+    }
+
+    return errors;
+  }
+}
+
+// Make ExportSchema available to the service worker
+self.ExportSchema = ExportSchema;
@@ -0,0 +1,245 @@
+// Conflict-free merge of highlight versions from different devices
+//
+// The user-editable fields are grouped, and each group carries its own
+// revision clock in highlight.revisions:
+//   revisions: { note, tags, color, trash, anchor }   // each one a clock
+//   clock:     { at: 1700000000000, by: "device_..." }
+// A missing clock sorts before every other one: the group still holds the
+// value the highlight was created with. Clocks compare by time, then by
+// device id, so two devices merging the same versions always pick the same
+// winner for every group, in whatever order the versions arrive.
+//
+// A highlight deleted for good leaves a tombstone { id, clock }. It wins
+// over every version whose clocks are all older; an edit made anywhere
+// after the delete brings the highlight back.
+//
+// Imports, sync and the storage.sync mirror merge with these rules.
+// Restoring a backup or "Replace all" go back to a file on purpose: their
+// versions are stamped as new edits, so they win the merge everywhere.
+//
+// Everything here is a pure function of its arguments, so the rules are
+// tested in Node without the extension APIs: test/highlight-merge.test.js
+
+class HighlightMerge {
+  // Revision group -> the highlight fields it covers
+  static GROUPS = {
+    note: ["note"],
+    tags: ["tags"],
+    color: ["color"],
+    trash: ["deletedAt"],
+    anchor: ["text", "pageText", "textPosition", "selectors"],
+  };
+
+  static ZERO = { at: 0, by: "" };
+
+  // Order two clocks: negative when a is older, positive when it is newer
+  static compare(a, b) {
+    const first = a || this.ZERO;
+    const second = b || this.ZERO;
+    if (first.at !== second.at) return first.at - second.at;
+    if (first.by === second.by) return 0;
+    return first.by < second.by ? -1 : 1;
+  }
+
+  static isClock(clock) {
+    return Boolean(
+      clock &&
+        typeof clock === "object" &&
+        Number.isFinite(clock.at) &&
+        typeof clock.by === "string"
+    );
+  }
+
+  // Whether value is a valid revisions map
+  static isRevisions(revisions) {
+    return Boolean(
+      revisions &&
+        typeof revisions === "object" &&
+        !Array.isArray(revisions) &&
+        Object.entries(revisions).every(
+          ([group, clock]) => group in this.GROUPS && this.isClock(clock)
+        )
+    );
+  }
+
+  static clockOf(highlight, group) {
+    return (
+      (highlight && highlight.revisions && highlight.revisions[group]) ||
+      this.ZERO
+    );
+  }
+
+  // The newest clock of any group
+  static latest(highlight) {
+    return Object.keys(this.GROUPS).reduce((latest, group) => {
+      const clock = this.clockOf(highlight, group);
+      return this.compare(clock, latest) > 0 ? clock : latest;
+    }, this.ZERO);
+  }
+
+  // A clock for an edit on device, newer than after even when this
+  // device's time is behind the one that wrote after
+  static tick(after, device, now = Date.now()) {
+    return { at: Math.max(now, (after || this.ZERO).at + 1), by: device };
+  }
+
+  // A group's values in a form that compares equal when they are equal
+  static valueKey(highlight, group) {
+    return JSON.stringify(
+      this.GROUPS[group].map((field) =>
+        highlight[field] === undefined ? null : highlight[field]
+      )
+    );
+  }
+
+  static sameValue(a, b, group) {
+    return this.valueKey(a, group) === this.valueKey(b, group);
+  }
+
+  // Copy of the revisioned fields, to compare with after an in-place edit
+  static versionOf(highlight) {
+    const version = {};
+    Object.values(this.GROUPS)
+      .flat()
+      .concat("revisions")
+      .forEach((field) => {
+        if (highlight[field] !== undefined) {
+          version[field] = JSON.parse(JSON.stringify(highlight[field]));
+        }
+      });
+    return version;
+  }
+
+  // Give next (the version about to be stored) its revisions, in place.
+  // Groups that changed since previous get a new clock from device, unless
+  // next already carries a newer clock for them (it came from another
+  // device). A highlight written again after a tombstone counts as
+  // restored, which is an edit of its trash state. Returns next
+  static stamp(previous, next, { device, now = Date.now(), tombstone } = {}) {
+    const revisions = {};
+
+    Object.keys(this.GROUPS).forEach((group) => {
+      const before = this.clockOf(previous, group);
+      const after = this.clockOf(next, group);
+      const newest = this.compare(after, before) > 0 ? after : before;
+
+      if (
+        previous &&
+        !this.sameValue(previous, next, group) &&
+        this.compare(after, before) <= 0
+      ) {
+        revisions[group] = this.tick(before, device, now);
+      } else if (newest !== this.ZERO) {
+        revisions[group] = newest;
+      }
+    });
+
+    if (
+      !previous &&
+      tombstone &&
+      this.compare(this.latest({ revisions }), tombstone.clock) <= 0
+    ) {
+      revisions.trash = this.tick(tombstone.clock, device, now);
+    }
+
+    next.revisions = revisions;
+    return next;
+  }
+
+  // Merge two versions of a highlight; either may be null. The result is
+  // the same for merge(a, b) and merge(b, a)
+  static merge(a, b) {
+    if (!a || !b) return a || b || null;
+
+    // Fields without a clock come from the more recently edited version
+    const [base, other] = this.compareVersions(a, b) >= 0 ? [a, b] : [b, a];
+    return this.mergeGroups(base, other, Object.keys(this.GROUPS));
+  }
+
+  // Take each of the given groups from whichever version has the newer
+  // clock for it; everything else comes from base. Used on its own for
+  // partial copies that only carry some of the groups
+  static mergeGroups(base, other, groups) {
+    const merged = { ...base, revisions: { ...(base.revisions || {}) } };
+
+    groups.forEach((group) => {
+      const order = this.compare(
+        this.clockOf(other, group),
+        this.clockOf(base, group)
+      );
+      // Equal clocks with different values only happen to versions that
+      // predate revisions; the values themselves break the tie
+      const takeOther =
+        order > 0 ||
+        (order === 0 &&
+          this.valueKey(other, group) > this.valueKey(base, group));
+      if (!takeOther) return;
+
+      this.GROUPS[group].forEach((field) => {
+        if (other[field] === undefined) {
+          delete merged[field];
+        } else {
+          merged[field] = other[field];
+        }
+      });
+      if (other.revisions && other.revisions[group]) {
+        merged.revisions[group] = other.revisions[group];
+      } else {
+        delete merged.revisions[group];
+      }
+    });
+
+    return merged;
+  }
+
+  static compareVersions(a, b) {
+    const order = this.compare(this.latest(a), this.latest(b));
+    if (order !== 0) return order;
+
+    const first = JSON.stringify(a);
+    const second = JSON.stringify(b);
+    return first === second ? 0 : first < second ? -1 : 1;
+  }
+
+  // Whether two versions hold the same values and clocks in the given
+  // groups (all of them by default)
+  static sameVersion(a, b, groups = Object.keys(this.GROUPS)) {
+    return groups.every(
+      (group) =>
+        this.sameValue(a, b, group) &&
+        this.compare(this.clockOf(a, group), this.clockOf(b, group)) === 0
+    );
+  }
+
+  // Whether a highlight outlives a tombstone: it was edited after the
+  // delete, on any device
+  static survives(highlight, tombstone) {
+    return (
+      !tombstone || this.compare(this.latest(highlight), tombstone.clock) > 0
+    );
+  }
+
+  // The tombstone for deleting highlight on device; it is newer than
+  // every clock the highlight has
+  static tombstone(highlight, device, now = Date.now()) {
+    return {
+      id: highlight.id,
+      clock: this.tick(this.latest(highlight), device, now),
+    };
+  }
+
+  // The newer of two tombstones for the same id; either may be null
+  static newerTombstone(a, b) {
+    if (!a || !b) return a || b || null;
+    return this.compare(a.clock, b.clock) >= 0 ? a : b;
+  }
+}
+
+// Make HighlightMerge available to the service worker, and to Node so the
+// merge rules can be tested on their own
+if (typeof self !== "undefined") {
+  self.HighlightMerge = HighlightMerge;
+}
+if (typeof module !== "undefined") {
+  module.exports = HighlightMerge;
+}
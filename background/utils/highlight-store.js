@@ -0,0 +1,212 @@
+// IndexedDB-backed highlight store for the background service worker
+// Highlights are keyed by id with indexes on url, domain, timestamp and tags.
+// Highlights deleted for good leave a tombstone (see HighlightMerge) in a
+// second object store, written in the same transaction as the delete
+//
+// Once device is set, every write stamps revision clocks on the groups of
+// fields it changes. Writes of versions that were already merged pass
+// { stamp: false } to store them as they are
+
+class HighlightStore extends IdbStore {
+  constructor(dbName = "highlight-saver", version = 2) {
+    super(dbName, version, "highlights");
+    this.tombstoneStoreName = "tombstones";
+    this.device = null;
+  }
+
+  // Create the object stores and indexes that are missing
+  upgrade(db) {
+    if (!db.objectStoreNames.contains(this.storeName)) {
+      const store = db.createObjectStore(this.storeName, { keyPath: "id" });
+      store.createIndex("url", "url", { unique: false });
+      store.createIndex("domain", "domain", { unique: false });
+      store.createIndex("timestamp", "timestamp", { unique: false });
+      store.createIndex("tags", "tags", {
+        unique: false,
+        multiEntry: true,
+      });
+    }
+    if (!db.objectStoreNames.contains(this.tombstoneStoreName)) {
+      db.createObjectStore(this.tombstoneStoreName, { keyPath: "id" });
+    }
+  }
+
+  // Every transaction covers the tombstones, so deletes can leave them
+  storeNames() {
+    return [this.storeName, this.tombstoneStoreName];
+  }
+
+  // Newest first, matching the order of the old storage array
+  static sortNewestFirst(highlights) {
+    return highlights.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  }
+
+  async getAll() {
+    return HighlightStore.sortNewestFirst(await super.getAll());
+  }
+
+  async count() {
+    return this.transaction("readonly", (store) =>
+      HighlightStore.request(store.count())
+    );
+  }
+
+  async put(highlight, options = {}) {
+    await this.transaction("readwrite", (store, tx) =>
+      this.write(store, tx, highlight, options)
+    );
+    return highlight;
+  }
+
+  async putMany(highlights, options = {}) {
+    await this.transaction("readwrite", async (store, tx) => {
+      for (const highlight of highlights) {
+        await this.write(store, tx, highlight, options);
+      }
+    });
+    return highlights.length;
+  }
+
+  // Stamp a highlight against the stored version and store it, clearing
+  // any tombstone for its id
+  async write(store, tx, highlight, options = {}) {
+    if (this.device && options.stamp !== false) {
+      const previous = await HighlightStore.request(store.get(highlight.id));
+      const tombstone = previous
+        ? null
+        : await HighlightStore.request(
+            tx.objectStore(this.tombstoneStoreName).get(highlight.id)
+          );
+      HighlightMerge.stamp(previous, highlight, {
+        device: this.device,
+        tombstone,
+      });
+    }
+
+    store.put(highlight);
+    tx.objectStore(this.tombstoneStoreName).delete(highlight.id);
+  }
+
+  // Stamp a highlight that was changed in place
+  stampChanges(previous, highlight) {
+    if (this.device) {
+      HighlightMerge.stamp(previous, highlight, { device: this.device });
+    }
+  }
+
+  // Read, change and write one highlight in a single transaction.
+  // Resolves with the updated highlight, or null if it doesn't exist
+  async update(id, mutate) {
+    return this.transaction("readwrite", async (store) => {
+      const highlight = await HighlightStore.request(store.get(id));
+      if (!highlight) {
+        return null;
+      }
+
+      const previous = HighlightMerge.versionOf(highlight);
+      mutate(highlight);
+      this.stampChanges(previous, highlight);
+      store.put(highlight);
+      return highlight;
+    });
+  }
+
+  // Change every matching highlight in a single transaction. mutate returns
+  // false to leave a record untouched. query is { index, key } to narrow
+  // the scan. Resolves with the number of changed highlights
+  async updateMany(mutate, query = null) {
+    return this.transaction("readwrite", async (store) => {
+      const source = query ? store.index(query.index) : store;
+      let count = 0;
+
+      await HighlightStore.iterate(
+        source.openCursor(query ? query.key : null),
+        (cursor) => {
+          const highlight = cursor.value;
+          const previous = HighlightMerge.versionOf(highlight);
+          if (mutate(highlight) !== false) {
+            this.stampChanges(previous, highlight);
+            cursor.update(highlight);
+            count++;
+          }
+        }
+      );
+
+      return count;
+    });
+  }
+
+  async delete(id) {
+    await this.deleteMany([id]);
+  }
+
+  // options.tombstones are tombstones from another device to keep instead
+  // of new ones, for deletes that came in through sync
+  async deleteMany(ids, options = {}) {
+    const received = new Map(
+      (options.tombstones || []).map((tombstone) => [tombstone.id, tombstone])
+    );
+
+    await this.transaction("readwrite", async (store, tx) => {
+      for (const id of ids) {
+        const highlight = await HighlightStore.request(store.get(id));
+        if (highlight) {
+          this.bury(tx, highlight, received.get(id));
+        }
+        store.delete(id);
+      }
+    });
+    return ids.length;
+  }
+
+  // Delete highlights saved before the given time; resolves with their ids
+  async deleteBefore(timestamp) {
+    return this.transaction("readwrite", async (store, tx) => {
+      const ids = [];
+      await HighlightStore.iterate(
+        store.index("timestamp").openCursor(IDBKeyRange.upperBound(timestamp)),
+        (cursor) => {
+          ids.push(cursor.primaryKey);
+          this.bury(tx, cursor.value);
+          cursor.delete();
+        }
+      );
+      return ids;
+    });
+  }
+
+  // Leave a tombstone for a highlight that is being deleted for good
+  bury(tx, highlight, tombstone = null) {
+    if (!tombstone && !this.device) return;
+
+    tx.objectStore(this.tombstoneStoreName).put(
+      tombstone || HighlightMerge.tombstone(highlight, this.device)
+    );
+  }
+
+  async getTombstones() {
+    return this.transaction("readonly", (store, tx) =>
+      HighlightStore.request(tx.objectStore(this.tombstoneStoreName).getAll())
+    );
+  }
+
+  // Forget tombstones older than the given time; resolves with how many
+  async deleteTombstonesBefore(time) {
+    return this.transaction("readwrite", async (store, tx) => {
+      let count = 0;
+      await HighlightStore.iterate(
+        tx.objectStore(this.tombstoneStoreName).openCursor(),
+        (cursor) => {
+          if (cursor.value.clock.at < time) {
+            cursor.delete();
+            count++;
+          }
+        }
+      );
+      return count;
+    });
+  }
+}
+
+// Make HighlightStore available to the service worker
+self.HighlightStore = HighlightStore;
@@ -0,0 +1,148 @@
+// Shared IndexedDB plumbing for the background service worker's stores
+// Each store opens its own database with one object store of records keyed
+// by id; subclasses add indexes and the queries they need
+
+class IdbStore {
+  constructor(dbName, version, storeName) {
+    this.dbName = dbName;
+    this.version = version;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  // Open the database once and reuse the connection
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.version);
+
+        request.onupgradeneeded = () => this.upgrade(request.result);
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version of the extension upgrade the schema
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+        request.onblocked = () => {
+          console.warn(`Upgrade of the ${this.dbName} database is blocked`);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  // Create the object store on first open
+  upgrade(db) {
+    if (!db.objectStoreNames.contains(this.storeName)) {
+      db.createObjectStore(this.storeName, { keyPath: "id" });
+    }
+  }
+
+  // The object stores every transaction covers
+  storeNames() {
+    return [this.storeName];
+  }
+
+  // Run work inside a single transaction and resolve with its result once
+  // the transaction has committed
+  async transaction(mode, work) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeNames(), mode);
+      const store = tx.objectStore(this.storeName);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () =>
+        reject(tx.error || new Error("Transaction was aborted"));
+
+      const fail = (error) => {
+        reject(error);
+        try {
+          tx.abort();
+        } catch (abortError) {
+          // Already committed or aborted
+        }
+      };
+
+      try {
+        Promise.resolve(work(store, tx)).then((value) => {
+          result = value;
+        }, fail);
+      } catch (error) {
+        fail(error);
+      }
+    });
+  }
+
+  // Wrap an IDBRequest in a promise
+  static request(idbRequest) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => resolve(idbRequest.result);
+      idbRequest.onerror = () => reject(idbRequest.error);
+    });
+  }
+
+  // Walk a cursor, calling visit(cursor) for each record
+  static iterate(idbRequest, visit) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => {
+        const cursor = idbRequest.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        visit(cursor);
+        cursor.continue();
+      };
+      idbRequest.onerror = () => reject(idbRequest.error);
+    });
+  }
+
+  async getAll() {
+    return this.transaction("readonly", (store) =>
+      IdbStore.request(store.getAll())
+    );
+  }
+
+  async get(id) {
+    const record = await this.transaction("readonly", (store) =>
+      IdbStore.request(store.get(id))
+    );
+    return record || null;
+  }
+
+  async put(record) {
+    await this.transaction("readwrite", (store) => {
+      store.put(record);
+    });
+    return record;
+  }
+
+  async delete(id) {
+    await this.transaction("readwrite", (store) => {
+      store.delete(id);
+    });
+  }
+
+  async deleteMany(ids) {
+    await this.transaction("readwrite", (store) => {
+      ids.forEach((id) => store.delete(id));
+    });
+    return ids.length;
+  }
+}
+
+// Make IdbStore available to the service worker
+self.IdbStore = IdbStore;
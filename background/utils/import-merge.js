@@ -0,0 +1,129 @@
+// Plans a merge of imported highlights into the current ones
+// Each imported highlight is new, a duplicate of one we already have, a
+// conflict (same highlight, different content) or invalid. Matches are by
+// id first, then by the same page and (nearly) the same text
+
+class ImportMerge {
+  // Fields compared to tell a duplicate from a conflict
+  static COMPARED_FIELDS = ["text", "note", "tags", "color", "url"];
+
+  // How much of the longer text the shorter one must cover to match
+  static SIMILARITY = 0.9;
+
+  // Sort imported highlights against the existing ones.
+  // validate(highlight) returns why a highlight is invalid, or null;
+  // invalid entries keep their position in the file
+  static plan(existing, incoming, validate) {
+    const plan = { added: [], duplicates: [], conflicts: [], invalid: [] };
+
+    const byId = new Map(existing.map((h) => [h.id, h]));
+    const byPage = new Map();
+    existing.forEach((highlight) => {
+      const key = this.pageKey(highlight);
+      if (!byPage.has(key)) byPage.set(key, []);
+      byPage.get(key).push(highlight);
+    });
+
+    const seenIds = new Set();
+    const matched = new Set();
+
+    incoming.forEach((highlight, index) => {
+      const reason =
+        validate(highlight) ||
+        (seenIds.has(highlight.id) ? "Duplicate id in the file" : null);
+      if (reason) {
+        plan.invalid.push({ highlight, index, reason });
+        return;
+      }
+      seenIds.add(highlight.id);
+
+      let match = byId.get(highlight.id);
+      let matchedBy = "id";
+      if (!match || matched.has(match.id)) {
+        match = (byPage.get(this.pageKey(highlight)) || []).find(
+          (other) =>
+            !matched.has(other.id) &&
+            this.similarText(other.text, highlight.text)
+        );
+        matchedBy = "text";
+      }
+
+      if (!match) {
+        // Its id may belong to a highlight another import item matched
+        plan.added.push(
+          byId.has(highlight.id)
+            ? { ...highlight, id: `${highlight.id}_${Date.now().toString(36)}` }
+            : highlight
+        );
+        return;
+      }
+      matched.add(match.id);
+
+      const fields = this.differingFields(match, highlight);
+      if (fields.length === 0) {
+        plan.duplicates.push({ incoming: highlight, existing: match });
+      } else {
+        plan.conflicts.push({
+          incoming: highlight,
+          existing: match,
+          fields,
+          matchedBy,
+        });
+      }
+    });
+
+    return plan;
+  }
+
+  // Kindle clippings have no URL; their book stands in for the page
+  static pageKey(highlight) {
+    return highlight.url || `${highlight.title}\n${highlight.author}`;
+  }
+
+  static similarText(a, b) {
+    const first = this.normalizeText(a);
+    const second = this.normalizeText(b);
+    if (!first || !second) return false;
+    if (first === second) return true;
+
+    const [shorter, longer] =
+      first.length <= second.length ? [first, second] : [second, first];
+    return (
+      longer.includes(shorter) &&
+      shorter.length / longer.length >= this.SIMILARITY
+    );
+  }
+
+  static normalizeText(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  static differingFields(existing, incoming) {
+    return this.COMPARED_FIELDS.filter((field) => {
+      if (field === "tags") {
+        return this.tagKey(existing.tags) !== this.tagKey(incoming.tags);
+      }
+      if (field === "color") {
+        return (
+          HighlightColors.normalize(existing.color) !==
+          HighlightColors.normalize(incoming.color)
+        );
+      }
+      return (existing[field] || "") !== (incoming[field] || "");
+    });
+  }
+
+  // Tags compare without regard to case or order
+  static tagKey(tags) {
+    return TagUtils.normalize(tags)
+      .map((tag) => tag.toLowerCase())
+      .sort()
+      .join("\n");
+  }
+}
+
+// Make ImportMerge available to the service worker
+self.ImportMerge = ImportMerge;
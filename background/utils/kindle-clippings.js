@@ -0,0 +1,212 @@
+// Kindle "My Clippings.txt" import
+// Each clipping is a book line, a metadata line, a blank line and the
+// clipped text, ended by a line of "=". Kindle keeps appending to the file,
+// so extending a highlight leaves the old and new versions side by side
+
+class KindleClippings {
+  static SOURCE = "kindle";
+  static SEPARATOR = /^={10}\s*$/m;
+
+  // Parse the file into highlight objects. Notes are attached to the
+  // highlight they were written on; overlapping re-highlights keep only
+  // the newest version. Returns { highlights, skipped }
+  static import(text) {
+    const entries = [];
+    let skipped = 0;
+
+    String(text)
+      .replace(/^\uFEFF/, "")
+      .split(this.SEPARATOR)
+      .forEach((block) => {
+        if (!block.trim()) return;
+
+        const entry = this.parseEntry(block);
+        if (entry) {
+          entries.push(entry);
+        } else {
+          skipped++;
+        }
+      });
+
+    if (entries.length === 0 && skipped > 0) {
+      throw new Error("Not a Kindle clippings file");
+    }
+
+    const highlights = this.dedupe(
+      entries.filter((entry) => entry.clipping === "highlight")
+    );
+    const standalone = [];
+
+    entries
+      .filter((entry) => entry.clipping !== "highlight")
+      .forEach((entry) => {
+        const target =
+          entry.clipping === "note" && this.findNoteTarget(highlights, entry);
+        if (target) {
+          target.note = [target.note, entry.text].filter(Boolean).join("\n\n");
+        } else {
+          standalone.push(entry);
+        }
+      });
+
+    return {
+      highlights: highlights
+        .concat(standalone)
+        .map((entry) => this.toHighlight(entry)),
+      skipped,
+    };
+  }
+
+  static parseEntry(block) {
+    const lines = block
+      .replace(/^\uFEFF/, "")
+      .split(/\r?\n/)
+      .map((line) => line.trim());
+    while (lines.length > 0 && !lines[0]) lines.shift();
+
+    const [bookLine, metaLine, ...rest] = lines;
+    if (!bookLine || !metaLine || !metaLine.startsWith("-")) return null;
+
+    const clipping = this.clippingType(metaLine);
+    if (!clipping) return null;
+
+    const text = rest.join("\n").trim();
+    if (clipping !== "bookmark" && !text) return null;
+
+    return {
+      clipping,
+      ...this.parseBook(bookLine),
+      text,
+      note: "",
+      location: this.parseLocation(metaLine),
+      page: (metaLine.match(/\bpage\s+([\w-]+)/i) || [])[1] || null,
+      timestamp: this.parseDate(metaLine),
+    };
+  }
+
+  static clippingType(metaLine) {
+    const match = metaLine.match(/\b(highlight|note|bookmark)\b/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  // "Title (Author)"; the last parenthesized part is the author
+  static parseBook(line) {
+    const match = line.match(/^(.*?)\s*\(([^()]*)\)\s*$/);
+    if (match && match[1]) {
+      return { title: match[1].trim(), author: match[2].trim() };
+    }
+    return { title: line.trim(), author: "" };
+  }
+
+  // "Location 170-172", "location 170" or the older "Loc. 170-72",
+  // where the end only repeats the digits that changed
+  static parseLocation(metaLine) {
+    const match = metaLine.match(/\bLoc(?:ation|\.)?\s+(\d+)(?:-(\d+))?/i);
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    let end = start;
+    if (match[2]) {
+      const prefix = match[1].substring(0, match[1].length - match[2].length);
+      end = parseInt(prefix + match[2], 10);
+    }
+
+    return { start, end: Math.max(start, end) };
+  }
+
+  // "Added on Saturday, March 3, 2018 10:15:27 PM", in the reader's time
+  static parseDate(metaLine) {
+    const match = metaLine.match(/Added on\s+(?:\w+,\s*)?(.+)$/i);
+    const time = match ? Date.parse(match[1]) : NaN;
+    return Number.isNaN(time) ? null : time;
+  }
+
+  // Of overlapping highlights in the same book only the newest is kept;
+  // Kindle writes it after the version it replaced
+  static dedupe(highlights) {
+    const kept = [];
+
+    highlights.forEach((highlight) => {
+      const index = kept.findIndex((other) => this.overlaps(other, highlight));
+      if (index === -1) {
+        kept.push(highlight);
+      } else if ((highlight.timestamp || 0) >= (kept[index].timestamp || 0)) {
+        kept[index] = highlight;
+      }
+    });
+
+    return kept;
+  }
+
+  static overlaps(a, b) {
+    if (a.title !== b.title || a.author !== b.author) return false;
+
+    if (a.location && b.location) {
+      return (
+        a.location.start <= b.location.end && b.location.start <= a.location.end
+      );
+    }
+    return a.text.includes(b.text) || b.text.includes(a.text);
+  }
+
+  // Kindle stores a note at the last location of the highlight it belongs to
+  static findNoteTarget(highlights, note) {
+    if (!note.location) return null;
+
+    return highlights.find(
+      (highlight) =>
+        highlight.title === note.title &&
+        highlight.author === note.author &&
+        highlight.location &&
+        highlight.location.start <= note.location.start &&
+        note.location.start <= highlight.location.end
+    );
+  }
+
+  static toHighlight(entry) {
+    const book = `${entry.title}\n${entry.author}`;
+    const position = entry.location
+      ? `${entry.location.start}`
+      : entry.page || "";
+
+    return {
+      // Ids depend on the clipping alone, so importing the same file
+      // again updates the highlights instead of duplicating them
+      id: `kindle_${TextUtils.hash(book)}_${TextUtils.hash(
+        `${entry.clipping}\n${position}\n${entry.text}`
+      )}`,
+      source: this.SOURCE,
+      text: entry.text,
+      note: entry.note,
+      tags: [],
+      color: HighlightColors.DEFAULT_COLOR,
+      title: entry.title,
+      author: entry.author,
+      domain: "",
+      timestamp: entry.timestamp || Date.now(),
+      selectors: [],
+      kindle: {
+        clipping: entry.clipping,
+        location: entry.location,
+        page: entry.page,
+      },
+    };
+  }
+
+  // Check whether two stored Kindle highlights are versions of one another
+  static isSameClipping(a, b) {
+    return (
+      a.source === this.SOURCE &&
+      b.source === this.SOURCE &&
+      a.kindle?.clipping === "highlight" &&
+      b.kindle?.clipping === "highlight" &&
+      this.overlaps(
+        { ...a, location: a.kindle.location },
+        { ...b, location: b.kindle.location }
+      )
+    );
+  }
+}
+
+// Make KindleClippings available to the service worker
+self.KindleClippings = KindleClippings;
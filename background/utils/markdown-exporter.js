@@ -0,0 +1,149 @@
+// Markdown export of highlights, grouped by page
+// Each page becomes a section with its title, URL and date; each highlight
+// is a blockquote followed by its note and tags
+
+class MarkdownExporter {
+  // Render highlights as a Markdown document; options.title sets the heading
+  static export(highlights, options = {}) {
+    const title = options.title || "Highlights";
+    const pages = this.groupByPage(highlights);
+    const lines = [`# ${this.escapeHeading(title)}`, ""];
+
+    lines.push(
+      `_Exported ${this.formatDate(Date.now())} · ${this.pluralize(
+        highlights.length,
+        "highlight"
+      )} from ${this.pluralize(pages.length, "page")}_`,
+      ""
+    );
+
+    pages.forEach((page) => {
+      lines.push(...this.renderPage(page), "");
+    });
+
+    return (
+      lines
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim() + "\n"
+    );
+  }
+
+  // Group highlights by URL (or book, for Kindle clippings); pages with the
+  // most recent activity come first
+  static groupByPage(highlights) {
+    const pages = new Map();
+
+    highlights.forEach((highlight) => {
+      const key = highlight.url || `${highlight.title}\n${highlight.author}`;
+      if (!pages.has(key)) {
+        pages.set(key, {
+          url: highlight.url || "",
+          title: highlight.title,
+          author: highlight.author || "",
+          highlights: [],
+        });
+      }
+      pages.get(key).highlights.push(highlight);
+    });
+
+    return Array.from(pages.values())
+      .map((page) => ({
+        ...page,
+        highlights: page.highlights.sort(
+          (a, b) => this.pageOrder(a) - this.pageOrder(b)
+        ),
+        firstSaved: Math.min(...page.highlights.map((h) => h.timestamp || 0)),
+        lastSaved: Math.max(...page.highlights.map((h) => h.timestamp || 0)),
+      }))
+      .sort((a, b) => b.lastSaved - a.lastSaved);
+  }
+
+  // Order highlights the way they appear on the page when we know it
+  static pageOrder(highlight) {
+    const position = (highlight.selectors || []).find(
+      (s) => s.type === "TextPositionSelector"
+    );
+    if (position) return position.start;
+    if (highlight.kindle && highlight.kindle.location) {
+      return highlight.kindle.location.start;
+    }
+    if (highlight.textPosition && highlight.textPosition.start !== undefined) {
+      return highlight.textPosition.start;
+    }
+    return highlight.timestamp || 0;
+  }
+
+  static renderPage(page) {
+    const lines = [
+      `## ${this.escapeHeading(page.title || page.url)}`,
+      "",
+      page.url ? `<${page.url}>  ` : this.describeBook(page),
+      `Saved ${this.formatDate(page.firstSaved)}`,
+      "",
+    ];
+
+    page.highlights.forEach((highlight) => {
+      lines.push(...this.renderHighlight(highlight), "");
+    });
+
+    return lines;
+  }
+
+  static renderHighlight(highlight) {
+    const lines = highlight.text
+      ? this.quote(highlight.text)
+      : [this.describeBookmark(highlight)];
+
+    if (highlight.note && highlight.note.trim()) {
+      lines.push("", highlight.note.trim());
+    }
+
+    if (highlight.tags && highlight.tags.length > 0) {
+      lines.push("", `Tags: ${highlight.tags.map(this.formatTag).join(" ")}`);
+    }
+
+    return lines;
+  }
+
+  // Prefix every line so multi-paragraph highlights stay in one quote
+  static quote(text) {
+    return String(text || "")
+      .trim()
+      .split(/\r?\n/)
+      .map((line) => (line.trim() ? `> ${line.trim()}` : ">"));
+  }
+
+  // Kindle books have an author instead of a URL
+  static describeBook(page) {
+    return page.author ? `Kindle book by ${page.author}  ` : "Kindle book  ";
+  }
+
+  // Kindle bookmarks mark a location but have no text
+  static describeBookmark(highlight) {
+    const location = highlight.kindle && highlight.kindle.location;
+    return location ? `_Bookmark at location ${location.start}_` : "_Bookmark_";
+  }
+
+  static formatTag(tag) {
+    return `#${tag.replace(/\s+/g, "-")}`;
+  }
+
+  static escapeHeading(text) {
+    return String(text)
+      .replace(/\s+/g, " ")
+      .replace(/^#+\s*/, "")
+      .trim();
+  }
+
+  static formatDate(timestamp) {
+    return new Date(timestamp).toISOString().split("T")[0];
+  }
+
+  static pluralize(count, word) {
+    return `${count} ${word}${count !== 1 ? "s" : ""}`;
+  }
+}
+
+// Make MarkdownExporter available to the service worker
+self.MarkdownExporter = MarkdownExporter;
@@ -0,0 +1,29 @@
+// IndexedDB store for automatic backup snapshots
+// Snapshots live in their own database so they survive anything that
+// happens to the highlight store
+
+class SnapshotStore extends IdbStore {
+  constructor(dbName = "highlight-saver-snapshots", version = 1) {
+    super(dbName, version, "snapshots");
+  }
+
+  // List snapshots newest first, without their content
+  async list() {
+    const snapshots = await this.getAll();
+    return snapshots
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .map(({ content, ...snapshot }) => snapshot);
+  }
+
+  // Drop all but the newest keep snapshots; resolves with the removed ids
+  async rotate(keep) {
+    const ids = (await this.list()).slice(keep).map((s) => s.id);
+    if (ids.length > 0) {
+      await this.deleteMany(ids);
+    }
+    return ids;
+  }
+}
+
+// Make SnapshotStore available to the service worker
+self.SnapshotStore = SnapshotStore;
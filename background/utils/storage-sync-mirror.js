@@ -0,0 +1,271 @@
+// Compact mirror of highlights for chrome.storage.sync
+// The mirror is one JSON payload split into chunks that fit the per-item
+// quota. Highlights are grouped by page and use short keys; empty fields
+// are left out. Notes, tags, color and trash state keep their revision
+// clocks, so every browser merges the mirror like any other copy (see
+// HighlightMerge)
+//
+// Payload: { v: 2, w: [device], p: [page], d: { id: clock } }
+//   page:      { u: url, ti: title, h: [record] }
+//   record:    { i: id, t: text, ts: timestamp, n: note, g: tags,
+//                c: color, x: deletedAt, f: { field: clock } }
+//   clock:     [at, index of the device in w]
+
+class StorageSyncMirror {
+  static VERSION = 2;
+  static PREFIX = "hs_";
+  static META_KEY = "hs_meta";
+
+  // Record field -> the revision group it holds
+  static GROUPS = { n: "note", g: "tags", c: "color", x: "trash" };
+
+  // chrome.storage.sync limits, with room left for the meta item
+  static QUOTA_BYTES = 102400;
+  static QUOTA_BYTES_PER_ITEM = 8192;
+  static BUDGET_RATIO = 0.95;
+
+  // Permanent deletes are kept this long so every browser sees them
+  static TOMBSTONE_DAYS = 30;
+
+  // Whether a highlight is mirrored; Kindle clippings have no page to
+  // group by and can be imported again on any browser
+  static canMirror(highlight) {
+    return Boolean(highlight.url) && highlight.source !== "kindle";
+  }
+
+  // The revision groups a mirrored copy carries
+  static mirroredGroups() {
+    return Object.values(this.GROUPS);
+  }
+
+  // Build the record for a highlight. devices collects the device ids its
+  // clocks refer to
+  static toRecord(highlight, devices) {
+    const record = {
+      i: highlight.id,
+      t: highlight.text,
+      ts: highlight.timestamp,
+      u: highlight.url,
+      ti: highlight.title || "",
+    };
+    const color = HighlightColors.normalize(highlight.color);
+    const clocks = {};
+
+    if (highlight.note) record.n = highlight.note;
+    if (highlight.tags && highlight.tags.length > 0) record.g = highlight.tags;
+    if (color !== HighlightColors.DEFAULT_COLOR) record.c = color;
+    if (highlight.deletedAt) record.x = highlight.deletedAt;
+
+    Object.entries(this.GROUPS).forEach(([field, group]) => {
+      const clock = highlight.revisions && highlight.revisions[group];
+      if (clock) clocks[field] = this.packClock(clock, devices);
+    });
+    if (Object.keys(clocks).length > 0) record.f = clocks;
+
+    return record;
+  }
+
+  // Turn a record back into a highlight. It has no selectors, so a new one
+  // is anchored by its quote the first time its page is opened
+  static fromRecord(record, devices) {
+    const highlight = {
+      id: record.i,
+      text: record.t,
+      url: record.u,
+      title: record.ti || record.u,
+      domain: TextUtils.domainOf(record.u),
+      timestamp: record.ts,
+      note: record.n || "",
+      tags: record.g || [],
+      color: HighlightColors.normalize(record.c),
+      selectors: [],
+      revisions: {},
+    };
+    if (record.x) {
+      highlight.deletedAt = record.x;
+    }
+
+    Object.entries(this.GROUPS).forEach(([field, group]) => {
+      const clock = this.unpackClock(record.f && record.f[field], devices);
+      if (clock) highlight.revisions[group] = clock;
+    });
+
+    return highlight;
+  }
+
+  // Device ids are long and repeat, so clocks point into a shared list
+  static packClock(clock, devices) {
+    let index = devices.indexOf(clock.by);
+    if (index === -1) {
+      index = devices.push(clock.by) - 1;
+    }
+    return [clock.at, index];
+  }
+
+  static unpackClock(packed, devices) {
+    if (!Array.isArray(packed) || !Number.isFinite(packed[0])) return null;
+    return { at: packed[0], by: devices[packed[1]] || "" };
+  }
+
+  // Read a payload as { highlights, tombstones }
+  static decode(payload) {
+    const devices = payload.w || [];
+    const highlights = [];
+    (payload.p || []).forEach((page) => {
+      (page.h || []).forEach((record) => {
+        highlights.push(
+          this.fromRecord({ ...record, u: page.u, ti: page.ti }, devices)
+        );
+      });
+    });
+
+    const tombstones = [];
+    Object.entries(payload.d || {}).forEach(([id, packed]) => {
+      const clock = this.unpackClock(packed, devices);
+      if (clock) tombstones.push({ id, clock });
+    });
+
+    return { highlights, tombstones };
+  }
+
+  static encode(highlights, tombstones) {
+    const devices = [];
+    const pages = new Map();
+    highlights.forEach((highlight) => {
+      const { u, ti, ...record } = this.toRecord(highlight, devices);
+      if (!pages.has(u)) pages.set(u, { u, ti, h: [] });
+      pages.get(u).h.push(record);
+    });
+
+    const deleted = {};
+    tombstones
+      .slice()
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .forEach((tombstone) => {
+        deleted[tombstone.id] = this.packClock(tombstone.clock, devices);
+      });
+
+    return {
+      v: this.VERSION,
+      w: devices,
+      p: Array.from(pages.values()),
+      d: deleted,
+    };
+  }
+
+  // Lay highlights out as storage items that fit the quota, dropping the
+  // oldest ones until they do. Returns { items, bytes, kept, evicted };
+  // kept and evicted are highlight ids
+  static toItems(highlights, tombstones, writer, quota = {}) {
+    const quotaBytes = quota.QUOTA_BYTES || this.QUOTA_BYTES;
+    const itemBytes = quota.QUOTA_BYTES_PER_ITEM || this.QUOTA_BYTES_PER_ITEM;
+    const budget = Math.floor(quotaBytes * this.BUDGET_RATIO);
+
+    const sorted = highlights
+      .slice()
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    let kept = sorted;
+
+    for (;;) {
+      // Oldest first, so new highlights only change the last chunks
+      const payload = this.encode(kept.slice().reverse(), tombstones);
+      const chunks = this.chunk(JSON.stringify(payload), itemBytes - 64);
+
+      const items = {
+        [this.META_KEY]: {
+          v: this.VERSION,
+          n: chunks.length,
+          w: writer,
+          at: Date.now(),
+        },
+      };
+      chunks.forEach((chunk, index) => {
+        items[this.PREFIX + index] = chunk;
+      });
+
+      const bytes = this.itemsSize(items);
+      if (bytes <= budget || kept.length === 0) {
+        return {
+          items,
+          bytes,
+          kept: kept.map((h) => h.id),
+          evicted: sorted.slice(kept.length).map((h) => h.id),
+        };
+      }
+
+      const drop = Math.max(
+        1,
+        Math.ceil((kept.length * (bytes - budget)) / bytes)
+      );
+      kept = kept.slice(0, kept.length - drop);
+    }
+  }
+
+  // Read the payload back from storage items; null when there is none or
+  // the chunks don't fit together (e.g. an update is still arriving)
+  static fromItems(items) {
+    const meta = items[this.META_KEY];
+    if (!meta || meta.v !== this.VERSION) return null;
+
+    let text = "";
+    for (let index = 0; index < meta.n; index++) {
+      const chunk = items[this.PREFIX + index];
+      if (typeof chunk !== "string") return null;
+      text += chunk;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Split text so every piece, stored as a JSON string, fits maxBytes
+  static chunk(text, maxBytes) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+      let end = Math.min(text.length, start + maxBytes);
+      while (this.byteSize(JSON.stringify(text.slice(start, end))) > maxBytes) {
+        end = start + Math.floor((end - start) * 0.9);
+      }
+      // Keep surrogate pairs together
+      const code = text.charCodeAt(end - 1);
+      if (
+        end < text.length &&
+        end - start > 1 &&
+        code >= 0xd800 &&
+        code <= 0xdbff
+      ) {
+        end--;
+      }
+
+      chunks.push(text.slice(start, end));
+      start = end;
+    }
+
+    return chunks;
+  }
+
+  // Storage counts each item as its key plus its JSON value
+  static itemsSize(items) {
+    return Object.entries(items).reduce(
+      (total, [key, value]) =>
+        total + this.byteSize(key) + this.byteSize(JSON.stringify(value)),
+      0
+    );
+  }
+
+  static byteSize(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  static isMirrorKey(key) {
+    return key.startsWith(this.PREFIX);
+  }
+}
+
+// Make StorageSyncMirror available to the service worker
+self.StorageSyncMirror = StorageSyncMirror;
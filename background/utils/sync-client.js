@@ -0,0 +1,126 @@
+// HTTP client for the self-hosted sync protocol (see docs/sync-protocol.md)
+// Pulls pages of changes after a cursor and pushes local changes on the
+// condition that nobody else pushed since that cursor
+
+class SyncClient {
+  static PAGE_SIZE = 500;
+  static TIMEOUT = 30000;
+
+  constructor({ url, token }) {
+    this.baseUrl = String(url || "").replace(/\/+$/, "");
+    this.token = token || "";
+  }
+
+  // Fetch one page of changes after cursor. Resolves with
+  // { changes, cursor, more }; changes is empty when nothing is new
+  async pull(cursor) {
+    const params = new URLSearchParams({ limit: SyncClient.PAGE_SIZE });
+    const headers = {};
+    if (cursor) {
+      params.set("since", cursor);
+      headers["If-None-Match"] = SyncClient.etag(cursor);
+    }
+
+    const response = await this.request(`/changes?${params}`, { headers });
+    if (response.status === 304) {
+      return { changes: [], cursor, more: false };
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!body || !Array.isArray(body.changes) || body.cursor == null) {
+      throw new Error("Unexpected response from the sync server");
+    }
+
+    return {
+      changes: body.changes.filter((change) => this.isChange(change)),
+      cursor: String(body.cursor),
+      more: Boolean(body.more),
+    };
+  }
+
+  // Send changes made after cursor; resolves with the new cursor. Rejects
+  // with code "SYNC_CONFLICT" when the server has moved past cursor
+  async push(changes, cursor) {
+    const response = await this.request("/changes", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "If-Match": SyncClient.etag(cursor),
+      },
+      body: JSON.stringify({ changes }),
+    });
+
+    if (response.status === 412) {
+      const conflict = new Error("The sync server has newer changes");
+      conflict.code = "SYNC_CONFLICT";
+      throw conflict;
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!body || body.cursor == null) {
+      throw new Error("Unexpected response from the sync server");
+    }
+    return String(body.cursor);
+  }
+
+  isChange(change) {
+    return Boolean(
+      change &&
+        typeof change.id === "string" &&
+        (change.deleted || (change.record && change.record.id === change.id))
+    );
+  }
+
+  // Resolves with the response for 2xx, 304 and 412; anything else rejects
+  // with the server's message when it sent one
+  async request(path, options = {}) {
+    if (!/^https?:\/\//i.test(this.baseUrl)) {
+      throw new Error("Set an http(s) sync server URL in the options");
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SyncClient.TIMEOUT);
+    const headers = { Accept: "application/json", ...options.headers };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(this.baseUrl + path, {
+        ...options,
+        headers,
+        cache: "no-store",
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw new Error(
+        error.name === "AbortError"
+          ? "The sync server didn't answer in time"
+          : "Couldn't reach the sync server"
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.ok || response.status === 304 || response.status === 412) {
+      return response;
+    }
+    if (response.status === 401 || response.status === 403) {
+      throw new Error("The sync server rejected the token");
+    }
+
+    const body = await response.json().catch(() => null);
+    throw new Error(
+      (body && body.error) ||
+        `Sync server error: ${response.status} ${response.statusText}`
+    );
+  }
+
+  static etag(cursor) {
+    return `"${cursor}"`;
+  }
+}
+
+// Make SyncClient available to the service worker
+self.SyncClient = SyncClient;
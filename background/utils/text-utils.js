@@ -0,0 +1,26 @@
+// Small helpers for ids and page info derived from text
+// Used by the exporters, the importers and the background service worker
+
+class TextUtils {
+  // FNV-1a hash as 8 hex digits, stable across exports
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  // Host name of a URL, or "" when it isn't one
+  static domainOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return "";
+    }
+  }
+}
+
+// Make TextUtils available to the service worker
+self.TextUtils = TextUtils;
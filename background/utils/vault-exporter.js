@@ -0,0 +1,154 @@
+// Obsidian/Logseq vault export: a zip with one Markdown file per page
+// Filenames, block IDs and file dates come from the highlights themselves,
+// so exporting the same highlights again produces the same files
+
+class VaultExporter {
+  static FOLDER = "Highlights";
+  static INDEX_NAME = "Highlights Index";
+
+  // Build the vault zip for the given highlights
+  static export(highlights) {
+    const pages = MarkdownExporter.groupByPage(highlights)
+      .map((page) => ({ ...page, fileName: this.fileNameFor(page) }))
+      .sort((a, b) => a.fileName.localeCompare(b.fileName));
+
+    const zip = new ZipWriter();
+
+    pages.forEach((page) => {
+      zip.addFile(
+        `${this.FOLDER}/${page.fileName}.md`,
+        this.renderPage(page),
+        new Date(page.lastSaved)
+      );
+    });
+
+    const lastSaved = Math.max(0, ...pages.map((page) => page.lastSaved));
+    zip.addFile(
+      `${this.FOLDER}/${this.INDEX_NAME}.md`,
+      this.renderIndex(pages),
+      new Date(lastSaved)
+    );
+
+    return zip.toUint8Array();
+  }
+
+  // "<Title> (<url hash>)": readable, and unique per URL even when
+  // several pages share a title
+  static fileNameFor(page) {
+    const title = (page.title || "")
+      .replace(/[\\/:*?"<>|#^[\]]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .substring(0, 80)
+      .trim();
+    const name = title || TextUtils.domainOf(page.url) || "Untitled";
+    const key = page.url || `${page.title}\n${page.author}`;
+    return `${name} (${TextUtils.hash(key).substring(0, 6)})`;
+  }
+
+  static renderPage(page) {
+    const tags = TagUtils.normalize(
+      page.highlights.flatMap((highlight) => highlight.tags || [])
+    );
+
+    const lines = [
+      "---",
+      `url: ${this.yamlString(page.url)}`,
+      `domain: ${this.yamlString(TextUtils.domainOf(page.url))}`,
+      `title: ${this.yamlString(page.title || "")}`,
+    ];
+
+    if (page.author) {
+      lines.push(`author: ${this.yamlString(page.author)}`);
+    }
+
+    if (tags.length > 0) {
+      lines.push("tags:");
+      tags.forEach((tag) => lines.push(`  - ${this.yamlString(tag)}`));
+    } else {
+      lines.push("tags: []");
+    }
+
+    lines.push(
+      `first_highlighted: ${new Date(page.firstSaved).toISOString()}`,
+      `last_highlighted: ${new Date(page.lastSaved).toISOString()}`,
+      `highlight_count: ${page.highlights.length}`,
+      "---",
+      "",
+      `# ${MarkdownExporter.escapeHeading(page.title || page.url)}`,
+      "",
+      page.url
+        ? `Source: <${page.url}>`
+        : MarkdownExporter.describeBook(page).trim(),
+      ""
+    );
+
+    page.highlights.forEach((highlight) => {
+      lines.push(...this.renderHighlight(highlight), "");
+    });
+
+    return lines.join("\n").trim() + "\n";
+  }
+
+  // Quotes need their block ID on a separate line to be linkable
+  static renderHighlight(highlight) {
+    const lines = highlight.text
+      ? MarkdownExporter.quote(highlight.text)
+      : [MarkdownExporter.describeBookmark(highlight)];
+    lines.push("", `^${this.blockId(highlight)}`);
+
+    if (highlight.note && highlight.note.trim()) {
+      lines.push("", highlight.note.trim());
+    }
+
+    if (highlight.tags && highlight.tags.length > 0) {
+      lines.push(
+        "",
+        `Tags: ${highlight.tags.map(MarkdownExporter.formatTag).join(" ")}`
+      );
+    }
+
+    return lines;
+  }
+
+  static renderIndex(pages) {
+    const lines = [
+      "---",
+      `title: ${this.yamlString(this.INDEX_NAME)}`,
+      `page_count: ${pages.length}`,
+      "---",
+      "",
+      `# ${this.INDEX_NAME}`,
+      "",
+    ];
+
+    pages.forEach((page) => {
+      const title = page.title || TextUtils.domainOf(page.url) || page.url;
+      const origin = page.url
+        ? TextUtils.domainOf(page.url) || page.url
+        : "Kindle";
+      lines.push(
+        `- [[${page.fileName}|${title.replace(/[|\]]/g, " ")}]] · ${
+          page.highlights.length
+        } highlight${page.highlights.length !== 1 ? "s" : ""} · ${origin}`
+      );
+    });
+
+    return lines.join("\n") + "\n";
+  }
+
+  // Block IDs may only contain letters, numbers and dashes
+  static blockId(highlight) {
+    return `hl-${String(highlight.id)
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, "-")}`;
+  }
+
+  // JSON strings are valid double-quoted YAML scalars
+  static yamlString(value) {
+    return JSON.stringify(String(value));
+  }
+}
+
+// Make VaultExporter available to the service worker
+self.VaultExporter = VaultExporter;
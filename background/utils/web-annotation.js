@@ -0,0 +1,293 @@
+// W3C Web Annotation Data Model (JSON-LD) export/import
+// Highlights map to standard annotations: the quote and position selectors
+// become the target, the note a "commenting" body and tags "tagging"
+// bodies. Fields the model has no place for are kept under "hs:highlight"
+// so our own exports import back unchanged
+
+class WebAnnotation {
+  static CONTEXT = [
+    "http://www.w3.org/ns/anno.jsonld",
+    { hs: "urn:x-highlight-saver:ns#" },
+  ];
+
+  static ID_PREFIX = "urn:x-highlight-saver:highlight:";
+  static STYLE_PREFIX = "highlight-color-";
+  static STANDARD_SELECTORS = ["TextQuoteSelector", "TextPositionSelector"];
+
+  // Highlight fields written as standard annotation properties
+  static MAPPED_FIELDS = [
+    "id",
+    "text",
+    "url",
+    "timestamp",
+    "updatedAt",
+    "note",
+    "tags",
+    "color",
+    "selectors",
+  ];
+
+  // Build an AnnotationCollection for the given highlights
+  static export(highlights, options = {}) {
+    return {
+      "@context": this.CONTEXT,
+      type: "AnnotationCollection",
+      label: options.title || "Highlights",
+      total: highlights.length,
+      first: {
+        type: "AnnotationPage",
+        startIndex: 0,
+        items: highlights.map((highlight) => this.toAnnotation(highlight)),
+      },
+    };
+  }
+
+  static toAnnotation(highlight) {
+    const note = (highlight.note || "").trim();
+    const tags = highlight.tags || [];
+
+    const body = [];
+    if (note) {
+      body.push({
+        type: "TextualBody",
+        value: highlight.note,
+        format: "text/plain",
+        purpose: "commenting",
+      });
+    }
+    tags.forEach((tag) => {
+      body.push({ type: "TextualBody", value: tag, purpose: "tagging" });
+    });
+
+    const annotation = {
+      id: this.ID_PREFIX + encodeURIComponent(highlight.id),
+      type: "Annotation",
+      motivation: note ? "commenting" : "highlighting",
+      created: new Date(highlight.timestamp).toISOString(),
+    };
+
+    if (highlight.updatedAt) {
+      annotation.modified = new Date(highlight.updatedAt).toISOString();
+    }
+    if (body.length > 0) {
+      annotation.body = body;
+    }
+
+    const color = HighlightColors.get(highlight.color);
+    annotation.target = {
+      source: highlight.url,
+      selector: this.standardSelectors(highlight),
+      styleClass: this.STYLE_PREFIX + color.id,
+    };
+    annotation.stylesheet = {
+      type: "CssStylesheet",
+      value: `.${this.STYLE_PREFIX + color.id} { background-color: ${
+        color.swatch
+      }; }`,
+    };
+
+    const extra = this.extraFields(highlight);
+    if (Object.keys(extra).length > 0) {
+      annotation["hs:highlight"] = extra;
+    }
+
+    return annotation;
+  }
+
+  // Highlights saved before selectors existed still get a quote selector
+  static standardSelectors(highlight) {
+    const selectors = (highlight.selectors || []).filter((selector) =>
+      this.STANDARD_SELECTORS.includes(selector.type)
+    );
+    if (!selectors.some((s) => s.type === "TextQuoteSelector")) {
+      selectors.unshift({ type: "TextQuoteSelector", exact: highlight.text });
+    }
+    return selectors;
+  }
+
+  // Everything the annotation can't express: title, domain, page context,
+  // anchoring state and our own selector types
+  static extraFields(highlight) {
+    const extra = {};
+
+    Object.keys(highlight).forEach((key) => {
+      if (!this.MAPPED_FIELDS.includes(key)) {
+        extra[key] = highlight[key];
+      }
+    });
+
+    const customSelectors = (highlight.selectors || []).filter(
+      (selector) => !this.STANDARD_SELECTORS.includes(selector.type)
+    );
+    if (customSelectors.length > 0) {
+      extra.selectors = customSelectors;
+    }
+
+    return extra;
+  }
+
+  // Check whether parsed JSON looks like Web Annotation data
+  static isAnnotationData(data) {
+    const first = Array.isArray(data) ? data[0] : data;
+    if (!first || typeof first !== "object") return false;
+
+    const types = [].concat(first.type || first["@type"] || []);
+    return types.some((type) =>
+      ["Annotation", "AnnotationCollection", "AnnotationPage"].includes(type)
+    );
+  }
+
+  // Turn an Annotation, AnnotationPage, AnnotationCollection or array of
+  // annotations into highlight objects. Annotations without a quote or
+  // source can't be highlights; they are dropped and counted in skipped
+  static import(data) {
+    const annotations = this.collectAnnotations(data);
+    const highlights = [];
+    let skipped = 0;
+
+    annotations.forEach((annotation) => {
+      const highlight = this.fromAnnotation(annotation);
+      if (highlight) {
+        highlights.push(highlight);
+      } else {
+        skipped++;
+      }
+    });
+
+    return { highlights, skipped };
+  }
+
+  static collectAnnotations(data) {
+    if (Array.isArray(data)) {
+      return data.flatMap((item) => this.collectAnnotations(item));
+    }
+    if (!data || typeof data !== "object") {
+      return [];
+    }
+
+    const types = [].concat(data.type || data["@type"] || []);
+
+    if (types.includes("AnnotationCollection")) {
+      // Pages are only followed when they are embedded, not linked by IRI
+      const annotations = [];
+      let page = data.first;
+      while (page && typeof page === "object") {
+        annotations.push(...this.collectAnnotations(page));
+        page = page.next;
+      }
+      return annotations;
+    }
+    if (types.includes("AnnotationPage")) {
+      return this.collectAnnotations(data.items || []);
+    }
+    if (types.includes("Annotation")) {
+      return [data];
+    }
+    return [];
+  }
+
+  static fromAnnotation(annotation) {
+    const target = [].concat(annotation.target || [])[0];
+    if (!target) return null;
+
+    const source =
+      typeof target === "string"
+        ? target
+        : typeof target.source === "string"
+        ? target.source
+        : target.source && target.source.id;
+    const selectors =
+      typeof target === "string" ? [] : this.flattenSelectors(target.selector);
+    const quote = selectors.find((s) => s.type === "TextQuoteSelector");
+
+    if (!source || !quote || !quote.exact) return null;
+
+    const extra = annotation["hs:highlight"] || {};
+    const { note, tags } = this.readBodies(annotation);
+    const timestamp = Date.parse(annotation.created) || Date.now();
+    const updatedAt = Date.parse(annotation.modified);
+
+    const highlight = {
+      ...extra,
+      id: this.highlightId(annotation, source, quote.exact),
+      text: quote.exact,
+      url: source,
+      timestamp,
+      note,
+      tags,
+      color: this.colorFromStyle(target.styleClass),
+      selectors: selectors
+        .filter((s) => this.STANDARD_SELECTORS.includes(s.type))
+        .concat(extra.selectors || []),
+    };
+
+    if (updatedAt) {
+      highlight.updatedAt = updatedAt;
+    }
+    if (!highlight.title) {
+      highlight.title = highlight.url;
+    }
+    if (highlight.domain === undefined) {
+      highlight.domain = TextUtils.domainOf(highlight.url);
+    }
+
+    return highlight;
+  }
+
+  // Selectors may be a single object or a list
+  static flattenSelectors(selector) {
+    return []
+      .concat(selector || [])
+      .filter((s) => s && typeof s === "object" && s.type);
+  }
+
+  // Tagging bodies become tags; the rest (or bodyValue) becomes the note
+  static readBodies(annotation) {
+    const notes = [];
+    const tags = [];
+
+    if (typeof annotation.bodyValue === "string") {
+      notes.push(annotation.bodyValue);
+    }
+
+    [].concat(annotation.body || []).forEach((body) => {
+      const value = typeof body === "string" ? body : body && body.value;
+      if (typeof value !== "string") return;
+
+      const purpose = [].concat((body && body.purpose) || []);
+      if (purpose.includes("tagging") || annotation.motivation === "tagging") {
+        tags.push(value);
+      } else {
+        notes.push(value);
+      }
+    });
+
+    return {
+      note: notes.join("\n\n"),
+      tags: TagUtils.normalize(tags),
+    };
+  }
+
+  // Keep our own ids; annotations from other tools get a stable id built
+  // from their IRI (or source) and quote so importing them twice matches
+  static highlightId(annotation, source, exact) {
+    const iri = annotation.id || annotation["@id"];
+
+    if (typeof iri === "string" && iri.startsWith(this.ID_PREFIX)) {
+      return decodeURIComponent(iri.substring(this.ID_PREFIX.length));
+    }
+    return `wa_${TextUtils.hash(iri || source)}_${TextUtils.hash(exact)}`;
+  }
+
+  static colorFromStyle(styleClass) {
+    const className = [].concat(styleClass || [])[0] || "";
+    return HighlightColors.normalize(
+      className.startsWith(this.STYLE_PREFIX)
+        ? className.substring(this.STYLE_PREFIX.length)
+        : ""
+    );
+  }
+}
+
+// Make WebAnnotation available to the service worker
+self.WebAnnotation = WebAnnotation;
@@ -0,0 +1,28 @@
+// Serializes storage writes in the background service worker
+// Each task starts only after the previous one has settled, so
+// read-modify-write sequences from different tabs can't interleave
+
+class WriteQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+    this.pending = 0;
+  }
+
+  // Queue a task and resolve or reject with its own result.
+  // A failing task doesn't stop the tasks queued after it
+  run(task) {
+    this.pending++;
+
+    const result = this.tail.then(() => task());
+    this.tail = result
+      .catch(() => {})
+      .finally(() => {
+        this.pending--;
+      });
+
+    return result;
+  }
+}
+
+// Make WriteQueue available to the service worker
+self.WriteQueue = WriteQueue;
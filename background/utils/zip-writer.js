@@ -0,0 +1,131 @@
+// Minimal ZIP archive writer (stored, uncompressed entries)
+// Entries are written in the order they were added with the timestamps
+// given, so the same input always produces the same bytes
+
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  // Add a file; content is a string (written as UTF-8) or Uint8Array
+  addFile(path, content, modified = new Date(0)) {
+    const data =
+      typeof content === "string" ? this.encoder.encode(content) : content;
+
+    this.entries.push({
+      name: this.encoder.encode(path),
+      data,
+      crc: ZipWriter.crc32(data),
+      modified,
+    });
+  }
+
+  // Build the archive
+  toUint8Array() {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    this.entries.forEach((entry) => {
+      const { time, date } = ZipWriter.toDosDateTime(entry.modified);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true); // Version needed to extract
+      local.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+      local.setUint16(8, 0, true); // Compression: stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.data.length, true);
+      local.setUint32(22, entry.data.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true); // Extra field length
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true); // Central directory signature
+      header.setUint16(4, 20, true); // Version made by
+      header.setUint16(6, 20, true); // Version needed to extract
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, date, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.data.length, true);
+      header.setUint32(24, entry.data.length, true);
+      header.setUint16(28, entry.name.length, true);
+      header.setUint16(30, 0, true); // Extra field length
+      header.setUint16(32, 0, true); // Comment length
+      header.setUint16(34, 0, true); // Disk number
+      header.setUint16(36, 0, true); // Internal attributes
+      header.setUint32(38, 0, true); // External attributes
+      header.setUint32(42, offset, true);
+
+      chunks.push(new Uint8Array(local.buffer), entry.name, entry.data);
+      central.push(new Uint8Array(header.buffer), entry.name);
+      offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(4, 0, true);
+    end.setUint16(6, 0, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    end.setUint16(20, 0, true); // Comment length
+
+    const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+    const result = new Uint8Array(
+      parts.reduce((sum, part) => sum + part.length, 0)
+    );
+    let position = 0;
+    parts.forEach((part) => {
+      result.set(part, position);
+      position += part.length;
+    });
+
+    return result;
+  }
+
+  // ZIP stores local time with 2 second precision, starting in 1980
+  static toDosDateTime(value) {
+    const d = new Date(Math.max(value.getTime(), Date.UTC(1980, 0, 1)));
+    return {
+      time:
+        (d.getUTCHours() << 11) |
+        (d.getUTCMinutes() << 5) |
+        Math.floor(d.getUTCSeconds() / 2),
+      date:
+        ((d.getUTCFullYear() - 1980) << 9) |
+        ((d.getUTCMonth() + 1) << 5) |
+        d.getUTCDate(),
+    };
+  }
+
+  static crc32(data) {
+    if (!ZipWriter.crcTable) {
+      ZipWriter.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipWriter.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+// Make ZipWriter available to the service worker
+self.ZipWriter = ZipWriter;
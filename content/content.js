@@ -13,9 +13,13 @@ class HighlightSaver {
     this.aiUtils = new AIUtils(this.cacheManager, this.storageUtils);
 
     // State management
-    this.savedHighlights = new Map();
+    this.savedHighlights = new Map(); // highlight id -> marked spans
     this.pendingHighlight = null;
     this.savedHighlightsData = [];
+    this.reattachTarget = null; // Orphaned highlight awaiting new text
+    this.colorLabels = {};
+    this.collections = [];
+    this.selectedColor = HighlightColors.DEFAULT_COLOR;
 
     this.init();
   }
@@ -28,6 +32,7 @@ class HighlightSaver {
       if (this.storageUtils.isChromeExtensionContext()) {
         await this.loadSavedHighlights();
         this.markExistingHighlights();
+        this.startReattachFromFragment();
       } else {
         console.warn(
           "Chrome extension APIs not available, running in limited mode"
@@ -52,9 +57,12 @@ class HighlightSaver {
         this.markExistingHighlights();
       }),
       onUrlFragment: () => this.handleUrlFragment(),
+      onHighlightHover: (event, isEntering) =>
+        this.handleHighlightHover(event, isEntering),
       onCleanup: () => this.cleanup(),
       onMessage: this.eventUtils.createMessageHandler({
         cleanup: () => this.cleanup(),
+        highlightsUpdated: (message) => this.handleHighlightsUpdated(message),
       }),
     };
 
@@ -63,6 +71,11 @@ class HighlightSaver {
   }
 
   handleTextSelection(event) {
+    // Interacting with the popup itself must not replace it
+    if (event && this.uiUtils.isInsidePopup(event.target)) {
+      return;
+    }
+
     this.eventUtils.handleTextSelection(
       event,
       (selection, selectedText, event) => {
@@ -97,11 +110,27 @@ class HighlightSaver {
   }
 
   showSavePopup(selectedText, event) {
-    const handlers = {
-      save: () => this.handleSaveClick(),
-      cancel: () => this.handleCancelClick(),
-      summarize: () => this.handleSummarizeClick(),
-    };
+    const handlers = this.reattachTarget
+      ? {
+          reattach: () => this.handleReattachClick(),
+          cancel: () => this.handleCancelClick(),
+        }
+      : {
+          save: () => this.handleSaveClick(),
+          cancel: () => this.handleCancelClick(),
+          summarize: () => this.handleSummarizeClick(),
+          knownTags: TagUtils.collect(this.savedHighlightsData).map(
+            (tag) => tag.name
+          ),
+          collections: this.collections,
+          colors: {
+            palette: HighlightColors.withLabels(this.colorLabels),
+            selected: this.selectedColor,
+            onSelect: (colorId) => {
+              this.selectedColor = colorId;
+            },
+          },
+        };
 
     this.uiUtils.showSavePopup(selectedText, event, handlers);
   }
@@ -115,6 +144,27 @@ class HighlightSaver {
     }
   }
 
+  handleHighlightHover(event, isEntering) {
+    const span = event.target.closest?.(".highlight-saver-saved");
+    if (!span) return;
+
+    // Moving between elements inside the same highlight isn't a leave
+    if (!isEntering) {
+      const next = event.relatedTarget?.closest?.(".highlight-saver-saved");
+      if (next?.dataset.highlightId !== span.dataset.highlightId) {
+        this.uiUtils.hideNoteCard();
+      }
+      return;
+    }
+
+    const highlight = this.savedHighlightsData.find(
+      (h) => h.id === span.dataset.highlightId
+    );
+    if (highlight && highlight.note) {
+      this.uiUtils.showNoteCard(span, highlight);
+    }
+  }
+
   handleCancelClick() {
     this.pendingHighlight = null;
     this.uiUtils.removePopup();
@@ -142,16 +192,22 @@ class HighlightSaver {
 
     try {
       // Create highlight object from stored data
-      const highlight = this.storageUtils.createHighlightObject(
-        this.pendingHighlight
-      );
+      const highlight = this.storageUtils.createHighlightObject({
+        ...this.pendingHighlight,
+        color: this.selectedColor,
+        note: this.uiUtils.getNoteInputValue(),
+        tags: this.uiUtils.getTagsInputValue(),
+      });
 
       // Save to storage
-      const result = await this.storageUtils.saveHighlight(highlight);
+      const result = await this.storageUtils.saveHighlight(
+        highlight,
+        this.uiUtils.getCollectionInputValue()
+      );
 
       if (result && result.success) {
         // Mark text as saved using stored range data
-        this.markTextAsSavedFromPending(highlight.id);
+        this.markTextAsSavedFromPending(highlight);
 
         // Clear pending data and selection
         this.pendingHighlight = null;
@@ -172,7 +228,7 @@ class HighlightSaver {
     }
   }
 
-  markTextAsSavedFromPending(highlightId) {
+  markTextAsSavedFromPending(highlight) {
     if (!this.pendingHighlight || !this.pendingHighlight.range) {
       console.error("No pending range data to mark");
       return;
@@ -186,27 +242,101 @@ class HighlightSaver {
 
       if (!range) {
         // Fallback to text-based marking
-        this.markTextByContent(this.pendingHighlight.text, highlightId);
+        this.markTextByContent(this.pendingHighlight.text, highlight);
         return;
       }
 
-      // Mark the range with a span
-      const span = this.rangeUtils.markRangeWithSpan(
+      // Mark each text segment of the range with a span
+      const spans = this.rangeUtils.markRangeWithSpans(
         range,
-        highlightId,
+        highlight,
         this.domUtils
       );
-      if (span) {
-        this.savedHighlights.set(highlightId, span);
+      if (spans.length > 0) {
+        this.savedHighlights.set(highlight.id, spans);
+      } else {
+        this.markTextByContent(this.pendingHighlight.text, highlight);
       }
     } catch (error) {
       console.error("Error marking text as saved:", error);
       // Fallback: try text-based marking
-      this.markTextByContent(this.pendingHighlight.text, highlightId);
+      this.markTextByContent(this.pendingHighlight.text, highlight);
     }
   }
 
-  markTextByContent(text, highlightId) {
+  startReattachFromFragment() {
+    const highlightId = this.eventUtils.getReattachIdFromFragment();
+    if (!highlightId) return;
+
+    const highlight = this.savedHighlightsData.find(
+      (h) => h.id === highlightId
+    );
+    if (!highlight) {
+      this.uiUtils.showErrorFeedback("Highlight to re-attach was not found");
+      return;
+    }
+
+    this.reattachTarget = highlight;
+    this.uiUtils.showReattachBanner(highlight, () => this.stopReattach());
+  }
+
+  stopReattach() {
+    this.reattachTarget = null;
+    this.uiUtils.removeReattachBanner();
+
+    // Drop the reattach parameter so a reload doesn't re-enter the mode
+    const pageUrl = this.storageUtils.getPageUrl();
+    if (pageUrl !== window.location.href) {
+      history.replaceState(history.state, "", pageUrl);
+    }
+  }
+
+  async handleReattachClick() {
+    if (!this.reattachTarget || !this.pendingHighlight) {
+      this.uiUtils.showErrorFeedback("No highlight data found");
+      return;
+    }
+
+    const highlightId = this.reattachTarget.id;
+
+    try {
+      const anchorData = {
+        text: this.pendingHighlight.text,
+        pageText: this.pendingHighlight.surroundingText,
+        textPosition: this.pendingHighlight.textPosition,
+        selectors: this.pendingHighlight.selectors || [],
+      };
+
+      const result = await this.storageUtils.reattachHighlight(
+        highlightId,
+        anchorData
+      );
+
+      if (!result || !result.success) {
+        throw new Error(result?.error || "Unknown storage error");
+      }
+
+      this.savedHighlightsData = this.savedHighlightsData.map((h) =>
+        h.id === highlightId ? result.highlight : h
+      );
+      this.markTextAsSavedFromPending(result.highlight);
+
+      this.pendingHighlight = null;
+      const selection = window.getSelection();
+      if (selection) {
+        selection.removeAllRanges();
+      }
+
+      this.stopReattach();
+      this.uiUtils.removePopup();
+      this.uiUtils.showFeedback("Highlight re-attached!", "#10b981");
+    } catch (error) {
+      console.error("Failed to re-attach highlight:", error);
+      this.uiUtils.showErrorFeedback("Failed to re-attach: " + error.message);
+    }
+  }
+
+  markTextByContent(text, highlight) {
     // Find text nodes using DOMUtils
     const textNodes = this.domUtils.findTextNodesOptimized(text);
 
@@ -228,11 +358,11 @@ class HighlightSaver {
 
       if (index !== -1) {
         const span = this.domUtils.markTextInNode(bestNode, text, index, {
-          id: highlightId,
+          ...highlight,
           text: text,
         });
         if (span) {
-          this.savedHighlights.set(highlightId, span);
+          this.savedHighlights.set(highlight.id, [span]);
         }
       }
     }
@@ -240,6 +370,8 @@ class HighlightSaver {
 
   async loadSavedHighlights() {
     try {
+      this.colorLabels = await this.storageUtils.getColorLabels();
+      this.collections = await this.storageUtils.getCollections();
       this.savedHighlightsData = await this.storageUtils.loadHighlights();
     } catch (error) {
       console.error("Failed to load saved highlights:", error);
@@ -247,6 +379,51 @@ class HighlightSaver {
     }
   }
 
+  async handleHighlightsUpdated(message = {}) {
+    await this.loadSavedHighlights();
+    this.markExistingHighlights();
+
+    // Offer an undo on pages that lost highlights to a delete, clear or import
+    const undo = message.undo;
+    if (undo && undo.urls.includes(this.storageUtils.getPageUrl())) {
+      this.uiUtils.showUndoToast(this.describeUndo(undo), () =>
+        this.handleUndoClick(undo.id)
+      );
+    }
+  }
+
+  describeUndo(undo) {
+    const plural = undo.count !== 1 ? "s" : "";
+    switch (undo.type) {
+      case "clearAll":
+        return `${undo.count} highlight${plural} moved to trash`;
+      case "import":
+        return "Highlights replaced by import";
+      case "importMerge":
+        return `${undo.count} new highlight${plural} imported`;
+      case "importCsv":
+        return "Highlights imported from CSV";
+      case "importKindle":
+        return "Kindle clippings imported";
+      case "restoreSnapshot":
+        return "Highlights restored from a backup";
+      default:
+        return "Highlight moved to trash";
+    }
+  }
+
+  async handleUndoClick(undoId) {
+    try {
+      const response = await this.storageUtils.undoLastAction(undoId);
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Undo failed");
+      }
+    } catch (error) {
+      console.error("Failed to undo:", error);
+      this.uiUtils.showErrorFeedback("Nothing to undo");
+    }
+  }
+
   markExistingHighlights() {
     try {
       // Update DOM cache and remove existing highlights
@@ -255,21 +432,44 @@ class HighlightSaver {
       this.savedHighlights.clear();
 
       // Mark highlights for current page
-      const currentUrl = window.location.href;
+      const currentUrl = this.storageUtils.getPageUrl();
       const pageHighlights = this.savedHighlightsData.filter(
         (h) => h.url === currentUrl
       );
+      const anchoringResults = [];
 
       // Process highlights in chunks using EventUtils
-      this.eventUtils.processInChunks(pageHighlights, (highlight) => {
-        this.findAndMarkTextOptimized(highlight);
-      });
+      this.eventUtils.processInChunks(
+        pageHighlights,
+        (highlight) => {
+          anchoringResults.push({
+            id: highlight.id,
+            anchored: this.findAndMarkTextOptimized(highlight),
+          });
+        },
+        5,
+        () => this.reportAnchoringStatus(currentUrl, anchoringResults)
+      );
     } catch (error) {
       console.error("Error marking existing highlights:", error);
     }
   }
 
   findAndMarkTextOptimized(highlight) {
+    // Re-anchor using the stored selectors (or the quote for old highlights)
+    const anchor = this.rangeUtils.anchorHighlight(highlight);
+    if (anchor) {
+      const spans = this.rangeUtils.markRangeWithSpans(
+        anchor.range,
+        highlight,
+        this.domUtils
+      );
+      if (spans.length > 0) {
+        this.savedHighlights.set(highlight.id, spans);
+        return true;
+      }
+    }
+
     const text = highlight.text;
 
     // Check cache first
@@ -277,8 +477,7 @@ class HighlightSaver {
     const cachedNodes = this.cacheManager.getCachedTextNodes(cacheKey);
 
     if (cachedNodes) {
-      this.markTextInNodes(cachedNodes, highlight);
-      return;
+      return this.markTextInNodes(cachedNodes, highlight);
     }
 
     // Find text nodes using DOMUtils
@@ -288,11 +487,12 @@ class HighlightSaver {
     this.cacheManager.cacheTextNodes(cacheKey, textNodes);
 
     // Mark text in found nodes
-    this.markTextInNodes(textNodes, highlight);
+    return this.markTextInNodes(textNodes, highlight);
   }
 
   markTextInNodes(textNodes, highlight) {
     const text = highlight.text;
+    let marked = false;
 
     textNodes.forEach((textNode) => {
       const content = textNode.textContent;
@@ -306,10 +506,23 @@ class HighlightSaver {
           highlight
         );
         if (span) {
-          this.savedHighlights.set(highlight.id, span);
+          this.savedHighlights.set(highlight.id, [span]);
+          marked = true;
         }
       }
     });
+
+    return marked;
+  }
+
+  async reportAnchoringStatus(url, results) {
+    if (results.length === 0) return;
+
+    try {
+      await this.storageUtils.reportAnchoringStatus(url, results);
+    } catch (error) {
+      console.warn("Failed to report anchoring status:", error);
+    }
   }
 
   handleUrlFragment() {
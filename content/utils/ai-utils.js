@@ -47,6 +47,32 @@ class AIUtils {
     }
   }
 
+  /**
+   * Summarize with the summary streamed in as it is written; onText gets
+   * the text so far. Stop it with cancelAIRequest(requestId)
+   */
+  async streamSummary(highlight, requestId, onText) {
+    const cacheKey = this.cacheManager.generateSummaryCacheKey(highlight);
+    const cachedSummary = this.cacheManager.getCachedSummary(cacheKey);
+    if (cachedSummary) {
+      return cachedSummary;
+    }
+
+    let text = "";
+    const summary = await this.storageUtils.streamSummarizeRequest(
+      highlight,
+      cacheKey,
+      requestId,
+      (piece) => {
+        text += piece;
+        onText(text);
+      }
+    );
+
+    this.cacheManager.cacheSummary(cacheKey, summary);
+    return summary;
+  }
+
   /**
    * Perform the actual summarization request via background script
    */
@@ -77,25 +103,40 @@ class AIUtils {
       return;
     }
 
-    try {
-      // Update button state to show loading
-      uiUtils.updateButtonState(
-        "highlight-summarize-btn-unique",
-        "Summarizing...",
-        true
-      );
+    let summaryPopup = null;
 
+    try {
       // Create highlight object for AI service
       const pageInfo = this.storageUtils.getPageInfo();
       const highlight = this.createHighlightForAI(pendingHighlight, pageInfo);
 
-      // Perform summarization
-      const summary = await this.summarizeHighlight(highlight);
+      // Open the summary popup right away and fill it in as the summary
+      // is written; Stop (or closing it) cancels the request
+      const requestId = this.storageUtils.generateRequestId();
+      summaryPopup = uiUtils.showSummaryPopup("", {
+        onStop: () => {
+          this.cancelAIRequest(requestId).catch((error) => {
+            console.warn("Failed to stop summary:", error);
+          });
+        },
+      });
 
-      // Show summary in popup
-      uiUtils.showSummaryPopup(summary);
+      const summary = await this.streamSummary(highlight, requestId, (text) =>
+        summaryPopup.update(text)
+      );
+      summaryPopup.finish(summary);
     } catch (error) {
+      if (summaryPopup && error.name === "AbortError") {
+        summaryPopup.stop();
+        return;
+      }
+
       console.error("Failed to summarize highlight:", error);
+      if (summaryPopup) {
+        summaryPopup.fail(error.message);
+        return;
+      }
+
       uiUtils.showErrorFeedback("Failed to summarize: " + error.message);
 
       // Re-enable the summarize button
@@ -110,17 +110,20 @@ class DOMUtils {
    * Create highlight span element
    */
   createHighlightSpan(highlight) {
+    const color = HighlightColors.normalize(highlight.color);
     const span = document.createElement("span");
-    span.className = "highlight-saver-saved";
+    span.className = `highlight-saver-saved highlight-saver-color-${color}`;
     span.dataset.highlightId = highlight.id;
 
+    if (highlight.note) {
+      span.classList.add("highlight-saver-has-note");
+    }
+
     if (highlight.text && highlight.text.trim() !== "") {
       span.textContent = highlight.text;
     }
 
     span.title = "Saved highlight - Click to view in extension";
-    span.style.cssText =
-      "background-color: #ffff99; padding: 1px 2px; border-radius: 2px;";
 
     return span;
   }
@@ -159,33 +162,25 @@ class DOMUtils {
     const existingHighlights = document.querySelectorAll(
       ".highlight-saver-saved"
     );
-    const textNodes = [];
-
-    // Collect all text nodes to be created
-    existingHighlights.forEach((el) => {
-      if (el && el.parentNode) {
-        const textNode = document.createTextNode(el.textContent);
-        textNodes.push({ element: el, textNode: textNode });
-      }
-    });
+    const parentsToNormalize = new Set();
 
-    // Batch replace elements with text nodes
-    textNodes.forEach(({ element, textNode }) => {
-      if (element.parentNode) {
-        element.parentNode.replaceChild(textNode, element);
-      }
-    });
+    // Unwrap spans so any markup inside them stays in place
+    existingHighlights.forEach((element) => {
+      const parent = element.parentNode;
+      if (!parent) return;
 
-    // Normalize parent nodes in batches
-    const parentsToNormalize = new Set();
-    textNodes.forEach(({ element }) => {
-      if (element.parentNode) {
-        parentsToNormalize.add(element.parentNode);
+      while (element.firstChild) {
+        parent.insertBefore(element.firstChild, element);
       }
+      parent.removeChild(element);
+      parentsToNormalize.add(parent);
     });
 
+    // Merge the text nodes that were split when marking
     parentsToNormalize.forEach((parent) => {
-      parent.normalize();
+      if (document.contains(parent)) {
+        parent.normalize();
+      }
     });
   }
 
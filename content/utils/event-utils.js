@@ -85,6 +85,7 @@ class EventUtils {
       onUrlFragment,
       onCleanup,
       onMessage,
+      onHighlightHover,
     } = handlers;
 
     // Text selection events with debouncing
@@ -98,6 +99,12 @@ class EventUtils {
       document.addEventListener("click", onOutsideClick, true);
     }
 
+    // Hovering saved highlights (delegated, spans are re-created often)
+    if (onHighlightHover) {
+      document.addEventListener("mouseover", (e) => onHighlightHover(e, true));
+      document.addEventListener("mouseout", (e) => onHighlightHover(e, false));
+    }
+
     // Visibility change handler
     if (onVisibilityChange) {
       document.addEventListener("visibilitychange", onVisibilityChange);
@@ -152,8 +159,11 @@ class EventUtils {
   /**
    * Process highlights in chunks to avoid blocking UI
    */
-  processInChunks(items, processor, chunkSize = 5) {
-    if (items.length === 0) return;
+  processInChunks(items, processor, chunkSize = 5, onComplete = null) {
+    if (items.length === 0) {
+      if (onComplete) onComplete();
+      return;
+    }
 
     let currentIndex = 0;
 
@@ -173,6 +183,8 @@ class EventUtils {
         } else {
           setTimeout(processChunk, 10);
         }
+      } else if (onComplete) {
+        onComplete();
       }
     };
 
@@ -261,6 +273,17 @@ class EventUtils {
     setTimeout(tryScroll, 500);
   }
 
+  /**
+   * Get the id of a highlight to re-attach from the URL fragment
+   */
+  getReattachIdFromFragment() {
+    const hash = window.location.hash;
+    if (!hash || !hash.includes("reattach=")) return null;
+
+    const params = new URLSearchParams(hash.substring(1));
+    return params.get("reattach");
+  }
+
   /**
    * Create Chrome extension message handler
    */
@@ -269,6 +292,12 @@ class EventUtils {
       if (message.action === "cleanup" && handlers.cleanup) {
         handlers.cleanup();
         sendResponse({ success: true });
+      } else if (
+        message.action === "highlightsUpdated" &&
+        handlers.highlightsUpdated
+      ) {
+        handlers.highlightsUpdated(message);
+        sendResponse({ success: true });
       }
       // Add more message handlers as needed
     };
@@ -2,6 +2,16 @@
 // Used by content script for text selection and range management
 
 class RangeUtils {
+  constructor() {
+    // Containers whose text never belongs to the page content
+    this.ignoredContainerSelector =
+      "script, style, noscript, textarea, .highlight-saver-popup, .highlight-feedback, .highlight-saver-instant-feedback, .highlight-saver-position-fallback, .highlight-saver-reattach-banner, .highlight-saver-note-card, .highlight-saver-undo-toast";
+    this.quoteContextLength = 32; // Characters of prefix/suffix kept
+    this.maxQuoteCandidates = 100;
+    this.maxFuzzyCandidates = 10;
+    this.maxFuzzyErrorRatio = 0.25; // Accept up to 25% edits
+  }
+
   /**
    * Validate range data before creating range
    */
@@ -92,110 +102,91 @@ class RangeUtils {
   }
 
   /**
-   * Mark range with span element
+   * Mark range by wrapping each covered text segment in its own span
    */
-  markRangeWithSpan(range, highlightId, domUtils) {
+  markRangeWithSpans(range, highlight, domUtils) {
     try {
       if (!this.isValidRangeForMarking(range)) {
         throw new Error("Invalid range for marking");
       }
 
-      // Check if range can be safely surrounded
-      if (!this.canSurroundRange(range)) {
-        console.warn("Range cannot be safely surrounded, using fallback");
-        return this.markRangeWithFallback(range, highlightId, domUtils);
-      }
-
-      // Create span without text content to avoid duplication
-      const span = domUtils.createHighlightSpan({
-        id: highlightId,
-        text: "", // Empty text to prevent duplication
-      });
+      const segments = this.getRangeTextSegments(range);
+      const spans = [];
 
-      // Let DOM move the original nodes into the span
-      range.surroundContents(span);
+      segments.forEach((segment, segmentIndex) => {
+        const span = this.wrapTextSegment(segment, highlight, domUtils);
+        if (!span) return;
 
-      // Set attributes after the DOM manipulation
-      span.title = "Saved highlight - Click to view in extension";
+        // Only the last segment shows the end-of-highlight marker
+        if (segmentIndex < segments.length - 1) {
+          span.classList.add("highlight-saver-continued");
+        }
+        spans.push(span);
+      });
 
-      return span;
-    } catch (rangeError) {
-      console.warn("surroundContents failed, trying fallback:", rangeError);
-      // Fallback: manually extract and wrap content
-      return this.markRangeWithFallback(range, highlightId, domUtils);
+      return spans;
+    } catch (error) {
+      console.error("Failed to mark range:", error);
+      return [];
     }
   }
 
   /**
-   * Check if range can be safely surrounded
+   * Collect the text node slices covered by a range
    */
-  canSurroundRange(range) {
-    try {
-      // Check if the range partially selects any element nodes
-      const startContainer = range.startContainer;
-      const endContainer = range.endContainer;
+  getRangeTextSegments(range) {
+    const root =
+      range.commonAncestorContainer.nodeType === Node.TEXT_NODE
+        ? range.commonAncestorContainer.parentNode
+        : range.commonAncestorContainer;
 
-      // If containers are different and one is not a text node, it might be problematic
-      if (startContainer !== endContainer) {
-        if (
-          startContainer.nodeType !== Node.TEXT_NODE ||
-          endContainer.nodeType !== Node.TEXT_NODE
-        ) {
-          return false;
-        }
-      }
+    const segments = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) =>
+          range.intersectsNode(node) && this.isIndexableTextNode(node)
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT,
+      },
+      false
+    );
 
-      // Check if we're trying to select across element boundaries
-      const commonAncestor = range.commonAncestorContainer;
-      if (commonAncestor.nodeType !== Node.TEXT_NODE) {
-        const contents = range.cloneContents();
-        const hasElementNodes = contents.querySelector("*") !== null;
-        if (hasElementNodes) {
-          // This means we're crossing element boundaries
-          return false;
-        }
-      }
+    let node;
+    while ((node = walker.nextNode())) {
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end =
+        node === range.endContainer ? range.endOffset : node.data.length;
 
-      return true;
-    } catch (error) {
-      console.warn("Error checking range safety:", error);
-      return false;
+      // Whitespace between block elements is not worth wrapping and may
+      // live where a span is not allowed (e.g. between list items)
+      if (end > start && node.data.substring(start, end).trim() !== "") {
+        segments.push({ node, start, end });
+      }
     }
+
+    return segments;
   }
 
   /**
-   * Fallback method for marking ranges
+   * Split a text node around a segment and wrap the segment in a span
    */
-  markRangeWithFallback(range, highlightId, domUtils) {
-    try {
-      if (!this.isValidRangeForMarking(range)) {
-        throw new Error("Range invalid for fallback marking");
-      }
-
-      // Extract the content from the range
-      const contents = range.extractContents();
-      const textContent = range.toString();
+  wrapTextSegment(segment, highlight, domUtils) {
+    let target = segment.node;
 
-      // Create the span wrapper
-      const span = domUtils.createHighlightSpan({
-        id: highlightId,
-        text: textContent,
-      });
-
-      // Put the extracted content into the span
-      span.appendChild(contents);
-
-      // Insert the span at the start of the range
-      range.insertNode(span);
+    if (segment.end < target.data.length) {
+      target.splitText(segment.end);
+    }
+    if (segment.start > 0) {
+      target = target.splitText(segment.start);
+    }
 
-      // Collapse the range to remove the selection
-      range.collapse(true);
+    const span = domUtils.createHighlightSpan({ ...highlight, text: "" });
+    target.parentNode.insertBefore(span, target);
+    span.appendChild(target);
 
-      return span;
-    } catch (fallbackError) {
-      console.error("Fallback marking also failed:", fallbackError);
-      return null;
-    }
+    return span;
   }
 
   /**
@@ -238,6 +229,7 @@ class RangeUtils {
       },
       surroundingText: this.getSurroundingTextFromRange(range),
       textPosition: textPosition,
+      selectors: this.createSelectorsFromRange(range),
       timestamp: Date.now(),
     };
   }
@@ -369,6 +361,681 @@ class RangeUtils {
 
     return commonWords / Math.max(originalWords.length, nodeWords.length);
   }
+
+  /**
+   * Build a flattened index of page text nodes with character offsets
+   */
+  buildTextIndex(root = document.body) {
+    const nodes = [];
+    let text = "";
+
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) =>
+          this.isIndexableTextNode(node)
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT,
+      },
+      false
+    );
+
+    let node;
+    while ((node = walker.nextNode())) {
+      nodes.push({
+        node: node,
+        start: text.length,
+        end: text.length + node.data.length,
+      });
+      text += node.data;
+    }
+
+    return { text, nodes };
+  }
+
+  /**
+   * Check if a text node is part of the page content
+   */
+  isIndexableTextNode(node) {
+    const parent = node.parentElement;
+    return (
+      parent !== null &&
+      node.data.length > 0 &&
+      !parent.closest(this.ignoredContainerSelector)
+    );
+  }
+
+  /**
+   * Convert a live range to start/end offsets in the text index
+   */
+  getRangeTextOffsets(range, index) {
+    let start = null;
+    let end = null;
+
+    for (const entry of index.nodes) {
+      if (!range.intersectsNode(entry.node)) {
+        if (start !== null) break;
+        continue;
+      }
+
+      const nodeStart =
+        entry.node === range.startContainer ? range.startOffset : 0;
+      const nodeEnd =
+        entry.node === range.endContainer
+          ? range.endOffset
+          : entry.node.data.length;
+
+      if (start === null) {
+        start = entry.start + nodeStart;
+      }
+      end = entry.start + nodeEnd;
+    }
+
+    if (start === null || end === null || end <= start) {
+      return null;
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Find the text node and local offset for an index offset
+   */
+  locateTextOffset(index, offset, isEnd = false) {
+    const nodes = index.nodes;
+    let low = 0;
+    let high = nodes.length - 1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const entry = nodes[mid];
+
+      // End boundaries belong to the node they close, start boundaries to
+      // the node they open
+      const afterStart = isEnd ? offset > entry.start : offset >= entry.start;
+      const beforeEnd = isEnd ? offset <= entry.end : offset < entry.end;
+
+      if (afterStart && beforeEnd) {
+        return { node: entry.node, offset: offset - entry.start };
+      } else if (!afterStart) {
+        high = mid - 1;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a DOM range from start/end offsets in the text index
+   */
+  createRangeFromTextOffsets(index, start, end) {
+    try {
+      const startPoint = this.locateTextOffset(index, start, false);
+      const endPoint = this.locateTextOffset(index, end, true);
+
+      if (!startPoint || !endPoint) {
+        return null;
+      }
+
+      const range = document.createRange();
+      range.setStart(startPoint.node, startPoint.offset);
+      range.setEnd(endPoint.node, endPoint.offset);
+
+      return range.collapsed ? null : range;
+    } catch (error) {
+      console.error("Error creating range from text offsets:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Describe a range with quote, position and DOM path selectors
+   */
+  createSelectorsFromRange(range) {
+    try {
+      const index = this.buildTextIndex();
+      const offsets = this.getRangeTextOffsets(range, index);
+
+      if (!offsets) {
+        return [];
+      }
+
+      const { start, end } = offsets;
+      const selectors = [
+        {
+          type: "TextQuoteSelector",
+          exact: index.text.substring(start, end),
+          prefix: index.text.substring(
+            Math.max(0, start - this.quoteContextLength),
+            start
+          ),
+          suffix: index.text.substring(end, end + this.quoteContextLength),
+        },
+        {
+          type: "TextPositionSelector",
+          start: start,
+          end: end,
+        },
+      ];
+
+      const pathSelector = this.createDomPathSelector(index, start, end);
+      if (pathSelector) {
+        selectors.push(pathSelector);
+      }
+
+      return selectors;
+    } catch (error) {
+      console.error("Error creating selectors from range:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Create a structural selector relative to the nearest page elements
+   */
+  createDomPathSelector(index, start, end) {
+    const startPoint = this.locateTextOffset(index, start, false);
+    const endPoint = this.locateTextOffset(index, end, true);
+
+    if (!startPoint || !endPoint) {
+      return null;
+    }
+
+    const startElement = this.getAnchorElement(startPoint.node);
+    const endElement = this.getAnchorElement(endPoint.node);
+    const startElementOffset = this.getElementTextStart(index, startElement);
+    const endElementOffset = this.getElementTextStart(index, endElement);
+
+    if (startElementOffset === null || endElementOffset === null) {
+      return null;
+    }
+
+    return {
+      type: "DomPathSelector",
+      startPath: this.getDomPath(startElement),
+      startOffset: start - startElementOffset,
+      endPath: this.getDomPath(endElement),
+      endOffset: end - endElementOffset,
+    };
+  }
+
+  /**
+   * Get the closest element that is not one of our highlight spans
+   */
+  getAnchorElement(node) {
+    let element = node.parentElement;
+    while (element && element.classList.contains("highlight-saver-saved")) {
+      element = element.parentElement;
+    }
+    return element || document.body;
+  }
+
+  /**
+   * Get the index offset where an element's text begins
+   */
+  getElementTextStart(index, element) {
+    const entry = index.nodes.find((item) => element.contains(item.node));
+    return entry ? entry.start : null;
+  }
+
+  /**
+   * Check if an element should be skipped when building DOM paths
+   */
+  isHighlightElement(element) {
+    return element.classList.contains("highlight-saver-saved");
+  }
+
+  /**
+   * Build a path like "div[2]/p[1]" from document.body to an element
+   */
+  getDomPath(element) {
+    const segments = [];
+    let current = element;
+
+    while (current && current !== document.body) {
+      const parent = current.parentElement;
+      if (!parent) break;
+
+      const tagName = current.tagName.toLowerCase();
+      let position = 0;
+      for (const sibling of parent.children) {
+        if (
+          sibling.tagName.toLowerCase() === tagName &&
+          !this.isHighlightElement(sibling)
+        ) {
+          position++;
+        }
+        if (sibling === current) break;
+      }
+
+      segments.unshift(`${tagName}[${position}]`);
+      current = parent;
+    }
+
+    return segments.join("/");
+  }
+
+  /**
+   * Resolve a path created by getDomPath back to an element
+   */
+  resolveDomPath(path) {
+    let current = document.body;
+    if (!path) {
+      return current;
+    }
+
+    for (const segment of path.split("/")) {
+      const match = segment.match(/^([a-z0-9-]+)\[(\d+)\]$/i);
+      if (!match || !current) {
+        return null;
+      }
+
+      const [, tagName, position] = match;
+      let count = 0;
+      let next = null;
+
+      for (const child of current.children) {
+        if (
+          child.tagName.toLowerCase() === tagName &&
+          !this.isHighlightElement(child)
+        ) {
+          count++;
+          if (count === Number(position)) {
+            next = child;
+            break;
+          }
+        }
+      }
+
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Re-anchor a saved highlight and return a range for it
+   */
+  anchorHighlight(highlight) {
+    const selectors =
+      Array.isArray(highlight.selectors) && highlight.selectors.length > 0
+        ? highlight.selectors
+        : [{ type: "TextQuoteSelector", exact: highlight.text }];
+
+    const index = this.buildTextIndex();
+    const match = this.resolveSelectors(selectors, index);
+
+    if (!match) {
+      return null;
+    }
+
+    const range = this.createRangeFromTextOffsets(
+      index,
+      match.start,
+      match.end
+    );
+    return range ? { range: range, method: match.method } : null;
+  }
+
+  /**
+   * Try each selector in order of precision, then fall back to fuzzy search
+   */
+  resolveSelectors(selectors, index) {
+    const quote = selectors.find((s) => s.type === "TextQuoteSelector");
+    const position = selectors.find((s) => s.type === "TextPositionSelector");
+    const domPath = selectors.find((s) => s.type === "DomPathSelector");
+
+    if (!quote || !quote.exact) {
+      return null;
+    }
+
+    const exact = quote.exact;
+    const positionHint = position ? position.start : null;
+
+    // 1. Structural path, verified against the quote
+    if (domPath) {
+      const match = this.matchDomPathSelector(domPath, index);
+      if (match && index.text.substring(match.start, match.end) === exact) {
+        return { ...match, method: "path" };
+      }
+    }
+
+    // 2. Character offsets, verified against the quote
+    if (
+      position &&
+      index.text.substring(position.start, position.end) === exact
+    ) {
+      return { start: position.start, end: position.end, method: "position" };
+    }
+
+    // 3. Exact quote, disambiguated by prefix/suffix and position
+    const quoteMatch = this.matchTextQuote(index.text, quote, positionHint);
+    if (quoteMatch) {
+      return { ...quoteMatch, method: "quote" };
+    }
+
+    // 4. Same quote ignoring whitespace, which differs between the
+    // rendered selection text and the raw text node stream across elements
+    const looseMatch = this.matchTextQuoteIgnoringWhitespace(
+      index,
+      quote,
+      positionHint
+    );
+    if (looseMatch) {
+      return { ...looseMatch, method: "quote" };
+    }
+
+    // 5. Approximate quote for text that was edited since saving
+    const fuzzyMatch = this.matchTextQuoteFuzzy(
+      index.text,
+      quote,
+      positionHint
+    );
+    if (fuzzyMatch) {
+      return { ...fuzzyMatch, method: "fuzzy" };
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a DOM path selector to index offsets
+   */
+  matchDomPathSelector(selector, index) {
+    const startElement = this.resolveDomPath(selector.startPath);
+    const endElement = this.resolveDomPath(selector.endPath);
+
+    if (!startElement || !endElement) {
+      return null;
+    }
+
+    const startBase = this.getElementTextStart(index, startElement);
+    const endBase = this.getElementTextStart(index, endElement);
+
+    if (startBase === null || endBase === null) {
+      return null;
+    }
+
+    const start = startBase + selector.startOffset;
+    const end = endBase + selector.endOffset;
+
+    if (start < 0 || end > index.text.length || end <= start) {
+      return null;
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Find the best exact occurrence of a quote
+   */
+  matchTextQuote(text, quote, positionHint) {
+    const exact = quote.exact;
+    const candidates = [];
+
+    let index = text.indexOf(exact);
+    while (index !== -1 && candidates.length < this.maxQuoteCandidates) {
+      candidates.push(index);
+      index = text.indexOf(exact, index + 1);
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    let bestStart = candidates[0];
+    let bestScore = -Infinity;
+
+    candidates.forEach((start) => {
+      const score = this.scoreQuoteContext(
+        text,
+        start,
+        start + exact.length,
+        quote,
+        positionHint
+      );
+      if (score > bestScore) {
+        bestScore = score;
+        bestStart = start;
+      }
+    });
+
+    return { start: bestStart, end: bestStart + exact.length };
+  }
+
+  /**
+   * Score a candidate by how well its surroundings match the saved context
+   */
+  scoreQuoteContext(text, start, end, quote, positionHint) {
+    let score = 0;
+
+    if (quote.prefix) {
+      const before = text.substring(
+        Math.max(0, start - quote.prefix.length),
+        start
+      );
+      score += this.commonSuffixLength(before, quote.prefix);
+    }
+
+    if (quote.suffix) {
+      const after = text.substring(end, end + quote.suffix.length);
+      score += this.commonPrefixLength(after, quote.suffix);
+    }
+
+    // Small tie-breaker in favour of the original location
+    if (typeof positionHint === "number") {
+      score -= Math.abs(start - positionHint) / Math.max(text.length, 1);
+    }
+
+    return score;
+  }
+
+  /**
+   * Length of the shared leading characters of two strings
+   */
+  commonPrefixLength(a, b) {
+    const max = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < max && a[i] === b[i]) i++;
+    return i;
+  }
+
+  /**
+   * Length of the shared trailing characters of two strings
+   */
+  commonSuffixLength(a, b) {
+    const max = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < max && a[a.length - 1 - i] === b[b.length - 1 - i]) i++;
+    return i;
+  }
+
+  /**
+   * Find a quote in the text index with all whitespace removed
+   */
+  matchTextQuoteIgnoringWhitespace(index, quote, positionHint) {
+    const needle = quote.exact.replace(/\s+/g, "");
+    if (!needle) {
+      return null;
+    }
+
+    const compact = this.getCompactText(index);
+    const candidates = [];
+
+    let position = compact.text.indexOf(needle);
+    while (position !== -1 && candidates.length < this.maxQuoteCandidates) {
+      candidates.push({
+        start: compact.map[position],
+        end: compact.map[position + needle.length - 1] + 1,
+      });
+      position = compact.text.indexOf(needle, position + 1);
+    }
+
+    let best = null;
+    let bestScore = -Infinity;
+
+    candidates.forEach((candidate) => {
+      const score = this.scoreQuoteContext(
+        index.text,
+        candidate.start,
+        candidate.end,
+        quote,
+        positionHint
+      );
+      if (score > bestScore) {
+        bestScore = score;
+        best = candidate;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Strip whitespace from the index text, keeping a map back to raw offsets
+   */
+  getCompactText(index) {
+    if (index.compact) {
+      return index.compact;
+    }
+
+    const source = index.text;
+    const map = new Int32Array(source.length);
+    let text = "";
+    let length = 0;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (!/\s/.test(char)) {
+        text += char;
+        map[length++] = i;
+      }
+    }
+
+    index.compact = { text, map };
+    return index.compact;
+  }
+
+  /**
+   * Find an approximate occurrence of a quote that may have been edited
+   */
+  matchTextQuoteFuzzy(text, quote, positionHint) {
+    const exact = quote.exact;
+    const maxErrors = Math.floor(exact.length * this.maxFuzzyErrorRatio);
+
+    if (exact.length < 8 || maxErrors === 0) {
+      return null;
+    }
+
+    // With at most maxErrors edits, at least one of maxErrors + 1 chunks
+    // survives unchanged, so exact chunk hits seed the candidate windows
+    const chunkCount = Math.min(maxErrors + 1, 8);
+    const chunkLength = Math.floor(exact.length / chunkCount);
+    const candidateStarts = new Set();
+
+    for (let i = 0; i < chunkCount; i++) {
+      const chunkOffset = i * chunkLength;
+      const chunk = exact.substr(chunkOffset, chunkLength);
+      if (chunk.trim().length < 3) continue;
+
+      let index = text.indexOf(chunk);
+      let hits = 0;
+      while (index !== -1 && hits < this.maxFuzzyCandidates) {
+        candidateStarts.add(Math.max(0, index - chunkOffset));
+        hits++;
+        index = text.indexOf(chunk, index + 1);
+      }
+    }
+
+    // Prefer candidates near the saved position when we have too many
+    let starts = Array.from(candidateStarts);
+    if (typeof positionHint === "number") {
+      starts.sort(
+        (a, b) => Math.abs(a - positionHint) - Math.abs(b - positionHint)
+      );
+    }
+    starts = starts.slice(0, this.maxFuzzyCandidates);
+
+    let best = null;
+
+    starts.forEach((candidateStart) => {
+      const windowStart = Math.max(0, candidateStart - maxErrors);
+      const windowEnd = Math.min(
+        text.length,
+        candidateStart + exact.length + maxErrors
+      );
+      const match = this.approximateSearch(exact, text, windowStart, windowEnd);
+
+      if (!match || match.distance > maxErrors) {
+        return;
+      }
+
+      const score =
+        -match.distance +
+        this.scoreQuoteContext(text, match.start, match.end, quote, null) /
+          this.quoteContextLength;
+
+      if (!best || score > best.score) {
+        best = { ...match, score };
+      }
+    });
+
+    return best ? { start: best.start, end: best.end } : null;
+  }
+
+  /**
+   * Semi-global edit distance search of a pattern inside a text window
+   */
+  approximateSearch(pattern, text, windowStart, windowEnd) {
+    const m = pattern.length;
+    let prevCost = new Int32Array(m + 1);
+    let prevStart = new Int32Array(m + 1);
+    let currCost = new Int32Array(m + 1);
+    let currStart = new Int32Array(m + 1);
+
+    for (let i = 0; i <= m; i++) {
+      prevCost[i] = i;
+      prevStart[i] = windowStart;
+    }
+
+    let best = null;
+
+    for (let j = windowStart; j < windowEnd; j++) {
+      const textChar = text[j];
+      currCost[0] = 0;
+      currStart[0] = j + 1;
+
+      for (let i = 1; i <= m; i++) {
+        const substitution =
+          prevCost[i - 1] + (pattern[i - 1] === textChar ? 0 : 1);
+        const deletion = currCost[i - 1] + 1;
+        const insertion = prevCost[i] + 1;
+
+        if (substitution <= deletion && substitution <= insertion) {
+          currCost[i] = substitution;
+          currStart[i] = prevStart[i - 1];
+        } else if (deletion <= insertion) {
+          currCost[i] = deletion;
+          currStart[i] = currStart[i - 1];
+        } else {
+          currCost[i] = insertion;
+          currStart[i] = prevStart[i];
+        }
+      }
+
+      if (!best || currCost[m] < best.distance) {
+        best = { distance: currCost[m], start: currStart[m], end: j + 1 };
+      }
+
+      [prevCost, currCost] = [currCost, prevCost];
+      [prevStart, currStart] = [currStart, prevStart];
+    }
+
+    return best && best.end > best.start ? best : null;
+  }
 }
 
 // Make RangeUtils globally available
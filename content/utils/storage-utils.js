@@ -35,9 +35,9 @@ class StorageUtils {
   }
 
   /**
-   * Save highlight to storage
+   * Save highlight to storage, optionally adding it to a collection
    */
-  async saveHighlight(highlight) {
+  async saveHighlight(highlight, collectionId = null) {
     // Check if Chrome APIs are available
     if (typeof chrome === "undefined" || !chrome.runtime) {
       console.error("Chrome runtime not available");
@@ -55,6 +55,7 @@ class StorageUtils {
           {
             action: "saveHighlight",
             highlight: highlight,
+            collectionId: collectionId,
           },
           (response) => {
             clearTimeout(timeoutId);
@@ -117,12 +118,27 @@ class StorageUtils {
    */
   getPageInfo() {
     return {
-      url: window.location.href,
+      url: this.getPageUrl(),
       title: document.title,
       domain: window.location.hostname,
     };
   }
 
+  /**
+   * Get the current page URL without the fragment parameters we add
+   */
+  getPageUrl() {
+    const url = new URL(window.location.href);
+    const ownParams = ["highlight", "pos", "reattach"];
+    const hashParts = url.hash
+      .substring(1)
+      .split("&")
+      .filter((part) => part && !ownParams.includes(part.split("=")[0]));
+
+    url.hash = hashParts.length > 0 ? `#${hashParts.join("&")}` : "";
+    return url.href;
+  }
+
   /**
    * Generate unique ID for highlights
    */
@@ -166,6 +182,10 @@ class StorageUtils {
       timestamp: pendingHighlight.timestamp || Date.now(),
       pageText: pendingHighlight.surroundingText,
       textPosition: pendingHighlight.textPosition,
+      selectors: pendingHighlight.selectors || [],
+      color: HighlightColors.normalize(pendingHighlight.color),
+      note: pendingHighlight.note || "",
+      tags: TagUtils.normalize(pendingHighlight.tags),
     };
   }
 
@@ -194,6 +214,48 @@ class StorageUtils {
     }
   }
 
+  /**
+   * Stream an AI summary over a port, passing each piece to onText as it
+   * arrives. Resolves with the whole summary; a summary stopped with
+   * cancelAIRequest rejects with an AbortError
+   */
+  streamSummarizeRequest(highlight, cacheKey, requestId, onText) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: "summarize" });
+      let settled = false;
+
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        port.disconnect();
+        callback(value);
+      };
+
+      port.onMessage.addListener((message) => {
+        if (message.type === "text") {
+          onText(message.text);
+        } else if (message.type === "done") {
+          settle(resolve, message.summary);
+        } else if (message.type === "error") {
+          const error = new Error(message.error);
+          if (message.stopped) error.name = "AbortError";
+          settle(reject, error);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        settle(reject, new Error("Lost the connection to the background"));
+      });
+
+      port.postMessage({
+        action: "summarizeHighlight",
+        requestId: requestId,
+        highlight: this.sanitizeHighlight(highlight),
+        cacheKey: cacheKey,
+      });
+    });
+  }
+
   /**
    * Check if Chrome extension context is available
    */
@@ -220,6 +282,68 @@ class StorageUtils {
     }
   }
 
+  /**
+   * Get user-defined labels for highlight colors
+   */
+  async getColorLabels() {
+    try {
+      const response = await this.sendMessageToBackground({
+        action: "getColorLabels",
+      });
+      return response.labels || {};
+    } catch (error) {
+      console.warn("Failed to load color labels:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Get the user's highlight collections
+   */
+  async getCollections() {
+    try {
+      const response = await this.sendMessageToBackground({
+        action: "getCollections",
+      });
+      return response.collections || [];
+    } catch (error) {
+      console.warn("Failed to load collections:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Report which highlights could be anchored on the current page
+   */
+  async reportAnchoringStatus(url, results) {
+    return await this.sendMessageToBackground({
+      action: "reportAnchoringStatus",
+      url: url,
+      results: results,
+    });
+  }
+
+  /**
+   * Re-attach an orphaned highlight to a new selection
+   */
+  async reattachHighlight(highlightId, anchorData) {
+    return await this.sendMessageToBackground({
+      action: "reattachHighlight",
+      highlightId: highlightId,
+      anchorData: anchorData,
+    });
+  }
+
+  /**
+   * Undo the last destructive action (delete, clear all or import)
+   */
+  async undoLastAction(undoId) {
+    return await this.sendMessageToBackground({
+      action: "undoLastAction",
+      undoId: undoId,
+    });
+  }
+
   /**
    * Update highlight in storage
    */
@@ -245,7 +369,7 @@ class StorageUtils {
    * Get highlights for current URL
    */
   async getHighlightsForCurrentUrl() {
-    const currentUrl = window.location.href;
+    const currentUrl = this.getPageUrl();
     const allHighlights = await this.loadHighlights();
     return allHighlights.filter((h) => h.url === currentUrl);
   }
@@ -4,6 +4,11 @@
 class UIUtils {
   constructor() {
     this.currentPopup = null;
+    this.popupTimeout = null;
+    this.reattachBanner = null;
+    this.noteCard = null;
+    this.undoToast = null;
+    this.undoTimeout = null;
   }
 
   /**
@@ -25,13 +30,22 @@ class UIUtils {
     this.currentPopup = popup;
 
     // Auto-remove after 10 seconds as failsafe
-    setTimeout(() => {
+    clearTimeout(this.popupTimeout);
+    this.popupTimeout = setTimeout(() => {
       if (this.currentPopup === popup) {
         this.removePopup();
       }
     }, 10000);
   }
 
+  /**
+   * Cancel the failsafe auto-remove while the user is typing in the popup
+   */
+  keepPopupOpen() {
+    clearTimeout(this.popupTimeout);
+    this.popupTimeout = null;
+  }
+
   /**
    * Position popup relative to text selection
    */
@@ -46,7 +60,7 @@ class UIUtils {
       const left = rect.left + window.scrollX;
 
       // Ensure popup doesn't go off-screen
-      const popupWidth = 200; // Estimated width
+      const popupWidth = 340; // Estimated width
       const viewportWidth = window.innerWidth;
       const adjustedLeft = Math.min(left, viewportWidth - popupWidth - 20);
 
@@ -71,6 +85,32 @@ class UIUtils {
    * Add buttons to popup with event handlers
    */
   addPopupButtons(popup, handlers) {
+    // Color choice comes first so it reads as part of the highlight
+    if (handlers.colors) {
+      popup.appendChild(this.createColorPicker(handlers.colors));
+    }
+
+    // In re-attach mode the selection replaces an orphan's anchor instead
+    if (handlers.reattach) {
+      popup.appendChild(
+        this.createButton({
+          id: "highlight-reattach-btn-unique",
+          text: "Re-attach",
+          className: "highlight-save-btn",
+          handler: handlers.reattach,
+        })
+      );
+      popup.appendChild(
+        this.createButton({
+          id: "highlight-cancel-btn-unique",
+          text: "Cancel",
+          className: "highlight-cancel-btn",
+          handler: handlers.cancel,
+        })
+      );
+      return;
+    }
+
     // Create save button
     const saveButton = this.createButton({
       id: "highlight-save-btn-unique",
@@ -87,6 +127,14 @@ class UIUtils {
       handler: handlers.cancel,
     });
 
+    // Create details button, which reveals note and tag fields
+    const detailsButton = this.createButton({
+      id: "highlight-details-btn-unique",
+      text: "Details",
+      className: "highlight-cancel-btn",
+      handler: () => this.showDetailsFields(popup, handlers),
+    });
+
     // Create summarize button
     const summarizeButton = this.createButton({
       id: "highlight-summarize-btn-unique",
@@ -95,12 +143,195 @@ class UIUtils {
       handler: handlers.summarize,
     });
 
-    // Assemble popup with 3 buttons
+    // Assemble popup with its buttons
     popup.appendChild(summarizeButton);
+    popup.appendChild(detailsButton);
     popup.appendChild(saveButton);
     popup.appendChild(cancelButton);
   }
 
+  /**
+   * Reveal the note and tag fields in the save popup
+   */
+  showDetailsFields(popup, handlers) {
+    let noteInput = popup.querySelector(".highlight-note-input");
+
+    if (!noteInput) {
+      noteInput = document.createElement("textarea");
+      noteInput.className = "highlight-note-input";
+      noteInput.placeholder =
+        "Add a note (Markdown supported, Ctrl+Enter to save)";
+      noteInput.maxLength = 5000;
+      noteInput.rows = 3;
+      this.isolateKeyEvents(noteInput, handlers.save);
+
+      const tagsInput = document.createElement("input");
+      tagsInput.type = "text";
+      tagsInput.className = "highlight-tags-input";
+      tagsInput.placeholder = "Tags, comma separated";
+      this.isolateKeyEvents(tagsInput, handlers.save);
+
+      const suggestions = document.createElement("div");
+      suggestions.className = "highlight-tag-suggestions";
+      this.bindTagAutocomplete(
+        tagsInput,
+        suggestions,
+        handlers.knownTags || []
+      );
+
+      popup.classList.add("highlight-saver-popup-expanded");
+      popup.appendChild(noteInput);
+      popup.appendChild(tagsInput);
+      popup.appendChild(suggestions);
+
+      if (handlers.collections && handlers.collections.length > 0) {
+        popup.appendChild(this.createCollectionSelect(handlers.collections));
+      }
+    }
+
+    this.keepPopupOpen();
+    noteInput.focus();
+  }
+
+  /**
+   * Keep page shortcuts from reacting to typing; Ctrl+Enter saves
+   */
+  isolateKeyEvents(input, onSave) {
+    ["keydown", "keyup", "keypress"].forEach((type) => {
+      input.addEventListener(type, (e) => e.stopPropagation());
+    });
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        onSave();
+      }
+    });
+  }
+
+  /**
+   * Suggest existing tags while typing; Tab accepts the first suggestion
+   */
+  bindTagAutocomplete(input, container, knownTags) {
+    const render = () => {
+      container.innerHTML = "";
+      const matches = TagUtils.suggest(knownTags, input.value);
+
+      matches.forEach((tag) => {
+        const chip = document.createElement("button");
+        chip.className = "highlight-tag-suggestion";
+        chip.textContent = tag;
+        // Keep focus in the input while picking a suggestion
+        chip.addEventListener("mousedown", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          input.value = TagUtils.complete(input.value, tag);
+          render();
+        });
+        container.appendChild(chip);
+      });
+    };
+
+    input.addEventListener("input", render);
+    input.addEventListener("focus", render);
+    input.addEventListener("keydown", (e) => {
+      const first = container.querySelector(".highlight-tag-suggestion");
+      if (e.key === "Tab" && first && input.value.trim() !== "") {
+        e.preventDefault();
+        input.value = TagUtils.complete(input.value, first.textContent);
+        render();
+      }
+    });
+  }
+
+  /**
+   * Create the collection picker for the save popup
+   */
+  createCollectionSelect(collections) {
+    const select = document.createElement("select");
+    select.className = "highlight-collection-select";
+    select.addEventListener("keydown", (e) => e.stopPropagation());
+
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "No collection";
+    select.appendChild(none);
+
+    collections.forEach((collection) => {
+      const option = document.createElement("option");
+      option.value = collection.id;
+      option.textContent = collection.name;
+      select.appendChild(option);
+    });
+
+    return select;
+  }
+
+  /**
+   * Get the collection picked in the save popup, or null
+   */
+  getCollectionInputValue() {
+    const select = this.currentPopup?.querySelector(
+      ".highlight-collection-select"
+    );
+    return select && select.value ? select.value : null;
+  }
+
+  /**
+   * Get the note typed into the save popup
+   */
+  getNoteInputValue() {
+    const input = this.currentPopup?.querySelector(".highlight-note-input");
+    return input ? input.value.trim() : "";
+  }
+
+  /**
+   * Get the tags typed into the save popup
+   */
+  getTagsInputValue() {
+    const input = this.currentPopup?.querySelector(".highlight-tags-input");
+    return input ? TagUtils.parse(input.value) : [];
+  }
+
+  /**
+   * Create a row of color swatches for the save popup
+   */
+  createColorPicker({ palette, selected, onSelect }) {
+    const picker = document.createElement("div");
+    picker.className = "highlight-color-picker";
+
+    palette.forEach((color) => {
+      const swatch = document.createElement("button");
+      swatch.className = "highlight-color-swatch";
+      swatch.dataset.color = color.id;
+      swatch.style.backgroundColor = color.swatch;
+      swatch.title = color.label ? `${color.name}: ${color.label}` : color.name;
+      swatch.setAttribute("aria-label", swatch.title);
+
+      if (color.id === selected) {
+        swatch.classList.add("active");
+      }
+
+      // Keep the page selection intact while choosing a color
+      swatch.addEventListener("mousedown", (e) => e.preventDefault(), true);
+      swatch.addEventListener(
+        "click",
+        (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          picker
+            .querySelectorAll(".highlight-color-swatch")
+            .forEach((el) => el.classList.toggle("active", el === swatch));
+          onSelect(color.id);
+        },
+        true
+      );
+
+      picker.appendChild(swatch);
+    });
+
+    return picker;
+  }
+
   /**
    * Create button with event handlers
    */
@@ -128,9 +359,12 @@ class UIUtils {
   }
 
   /**
-   * Show summary popup
+   * Show summary popup. With onStop, the summary is still being written:
+   * the popup gets a Stop button, and the returned handle fills it in with
+   * update(text), then finish(summary), stop() or fail(message). Closing
+   * the popup before then calls onStop too
    */
-  showSummaryPopup(summary) {
+  showSummaryPopup(summary, { onStop } = {}) {
     this.removePopup();
 
     const summaryPopup = document.createElement("div");
@@ -140,37 +374,98 @@ class UIUtils {
     // Position it in the same location as the original popup
     this.positionSummaryPopup(summaryPopup);
 
-    // Create summary content
+    // Create summary content; the summary comes from the AI provider, so
+    // it is set as text
     const summaryContent = document.createElement("div");
     summaryContent.className = "summary-content";
     summaryContent.innerHTML = `
       <div style="font-weight: 600; margin-bottom: 8px; color: #374151;">AI Summary:</div>
-      <div style="font-size: 12px; line-height: 1.4; color: #6b7280;">${summary}</div>
+      <div class="summary-text" style="font-size: 12px; line-height: 1.4; color: #6b7280;"></div>
     `;
+    const summaryText = summaryContent.querySelector(".summary-text");
+    summaryText.textContent = summary || "Summarizing...";
+
+    const actions = document.createElement("div");
+    actions.className = "summary-actions";
+
+    let writing = Boolean(onStop);
+    let written = Boolean(summary);
+    const stopWriting = () => {
+      if (!writing) return;
+      writing = false;
+      onStop();
+    };
+
+    // Create stop button while the summary is being written
+    const stopButton = document.createElement("button");
+    stopButton.textContent = "Stop";
+    stopButton.className = "highlight-cancel-btn";
+    stopButton.onclick = () => {
+      stopButton.disabled = true;
+      stopButton.textContent = "Stopping...";
+      stopWriting();
+    };
+    if (writing) {
+      actions.appendChild(stopButton);
+    }
 
     // Create close button
     const closeButton = document.createElement("button");
     closeButton.textContent = "Close";
     closeButton.className = "highlight-cancel-btn";
-    closeButton.style.marginTop = "8px";
     closeButton.onclick = () => {
+      stopWriting();
       summaryPopup.remove();
     };
+    actions.appendChild(closeButton);
 
     // Assemble summary popup
     summaryPopup.appendChild(summaryContent);
-    summaryPopup.appendChild(closeButton);
+    summaryPopup.appendChild(actions);
+
+    // removePopup stops a summary that is still being written
+    summaryPopup._onRemove = stopWriting;
 
     document.body.appendChild(summaryPopup);
     this.currentPopup = summaryPopup;
 
-    // Auto-remove after 15 seconds
-    setTimeout(() => {
-      if (this.currentPopup === summaryPopup) {
-        summaryPopup.remove();
-        this.currentPopup = null;
-      }
-    }, 15000);
+    // Auto-remove 15 seconds after the summary is complete
+    const settle = () => {
+      writing = false;
+      stopButton.remove();
+      setTimeout(() => {
+        if (this.currentPopup === summaryPopup) {
+          summaryPopup.remove();
+          this.currentPopup = null;
+        }
+      }, 15000);
+    };
+    if (!onStop) {
+      settle();
+    }
+
+    return {
+      update: (text) => {
+        summaryText.textContent = text;
+        written = true;
+      },
+      finish: (text) => {
+        summaryText.textContent = text;
+        settle();
+      },
+      // Keep what was written before the stop
+      stop: () => {
+        summaryText.textContent = written
+          ? `${summaryText.textContent} [stopped]`
+          : "Stopped.";
+        settle();
+      },
+      fail: (message) => {
+        summaryText.textContent = message;
+        summaryText.style.color = "#ef4444";
+        settle();
+      },
+    };
   }
 
   /**
@@ -220,6 +515,8 @@ class UIUtils {
         this.currentPopup.querySelector("#highlight-save-btn-unique"),
         this.currentPopup.querySelector("#highlight-cancel-btn-unique"),
         this.currentPopup.querySelector("#highlight-summarize-btn-unique"),
+        this.currentPopup.querySelector("#highlight-reattach-btn-unique"),
+        this.currentPopup.querySelector("#highlight-details-btn-unique"),
       ];
 
       buttons.forEach((btn) => {
@@ -234,6 +531,10 @@ class UIUtils {
         if (btn) btn.onclick = null;
       });
 
+      if (this.currentPopup._onRemove) {
+        this.currentPopup._onRemove();
+      }
+
       this.currentPopup.remove();
       this.currentPopup = null;
     }
@@ -570,6 +871,134 @@ class UIUtils {
     }
   }
 
+  /**
+   * Show banner asking the user to select new text for an orphaned highlight
+   */
+  showReattachBanner(highlight, onCancel) {
+    this.removeReattachBanner();
+
+    const banner = document.createElement("div");
+    banner.className = "highlight-saver-reattach-banner";
+
+    const message = document.createElement("div");
+    message.className = "reattach-message";
+    message.textContent = `Select the new text for: "${
+      highlight.text.length > 60
+        ? highlight.text.substring(0, 60) + "..."
+        : highlight.text
+    }"`;
+
+    const cancelButton = document.createElement("button");
+    cancelButton.textContent = "Cancel";
+    cancelButton.className = "highlight-cancel-btn";
+    cancelButton.onclick = () => {
+      this.removeReattachBanner();
+      onCancel();
+    };
+
+    banner.appendChild(message);
+    banner.appendChild(cancelButton);
+    document.body.appendChild(banner);
+    this.reattachBanner = banner;
+  }
+
+  /**
+   * Remove the re-attach banner
+   */
+  removeReattachBanner() {
+    if (this.reattachBanner) {
+      this.reattachBanner.remove();
+      this.reattachBanner = null;
+    }
+  }
+
+  /**
+   * Show a toast offering to undo the last destructive action
+   */
+  showUndoToast(message, onUndo, duration = 8000) {
+    this.removeUndoToast();
+
+    const toast = document.createElement("div");
+    toast.className = "highlight-saver-undo-toast";
+
+    const text = document.createElement("span");
+    text.textContent = message;
+
+    const undoButton = document.createElement("button");
+    undoButton.textContent = "Undo";
+    undoButton.className = "highlight-save-btn";
+    undoButton.onclick = () => {
+      this.removeUndoToast();
+      onUndo();
+    };
+
+    toast.appendChild(text);
+    toast.appendChild(undoButton);
+    document.body.appendChild(toast);
+    this.undoToast = toast;
+    this.undoTimeout = setTimeout(() => this.removeUndoToast(), duration);
+  }
+
+  /**
+   * Remove the undo toast
+   */
+  removeUndoToast() {
+    clearTimeout(this.undoTimeout);
+    this.undoTimeout = null;
+    if (this.undoToast) {
+      this.undoToast.remove();
+      this.undoToast = null;
+    }
+  }
+
+  /**
+   * Show a card with the rendered note next to a saved highlight
+   */
+  showNoteCard(anchorElement, highlight) {
+    if (this.noteCard && this.noteCard.dataset.highlightId === highlight.id) {
+      return;
+    }
+    this.hideNoteCard();
+
+    const card = document.createElement("div");
+    card.className = "highlight-saver-note-card";
+    card.dataset.highlightId = highlight.id;
+    card.innerHTML = MarkdownRenderer.toHtml(highlight.note);
+
+    const rect = anchorElement.getBoundingClientRect();
+    const cardWidth = 280;
+    const left = Math.min(
+      rect.left + window.scrollX,
+      window.scrollX + window.innerWidth - cardWidth - 20
+    );
+
+    Object.assign(card.style, {
+      top: `${rect.bottom + window.scrollY + 6}px`,
+      left: `${Math.max(window.scrollX + 20, left)}px`,
+      maxWidth: `${cardWidth}px`,
+    });
+
+    document.body.appendChild(card);
+    this.noteCard = card;
+  }
+
+  /**
+   * Remove the note card
+   */
+  hideNoteCard() {
+    if (this.noteCard) {
+      this.noteCard.remove();
+      this.noteCard = null;
+    }
+  }
+
+  /**
+   * Check if an event target is inside the current popup
+   */
+  isInsidePopup(target) {
+    return Boolean(this.currentPopup && this.currentPopup.contains(target));
+  }
+
   /**
    * Check if click is outside popup
    */
@@ -589,6 +1018,9 @@ class UIUtils {
    */
   cleanup() {
     this.removePopup();
+    this.removeReattachBanner();
+    this.hideNoteCard();
+    this.removeUndoToast();
     this.currentPopup = null;
   }
 }
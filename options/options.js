@@ -0,0 +1,324 @@
+// Options page
+// Settings are read and saved through the background, which validates them
+// and reschedules its alarms. AI settings go through AIUtils, the same way
+// the content script reaches the AI service
+class OptionsPage {
+  constructor() {
+    this.syncUrl = document.getElementById("syncUrl");
+    this.syncToken = document.getElementById("syncToken");
+    this.syncInterval = document.getElementById("syncInterval");
+    this.syncEnabled = document.getElementById("syncEnabled");
+    this.syncStatus = document.getElementById("syncStatus");
+    this.syncNowBtn = document.getElementById("syncNowBtn");
+    this.saveSyncBtn = document.getElementById("saveSyncBtn");
+    this.browserSyncEnabled = document.getElementById("browserSyncEnabled");
+    this.browserSyncStatus = document.getElementById("browserSyncStatus");
+    this.saveBrowserSyncBtn = document.getElementById("saveBrowserSyncBtn");
+    this.aiProvider = document.getElementById("aiProvider");
+    this.aiBaseUrl = document.getElementById("aiBaseUrl");
+    this.aiModel = document.getElementById("aiModel");
+    this.aiApiKey = document.getElementById("aiApiKey");
+    this.aiMaxTokens = document.getElementById("aiMaxTokens");
+    this.aiTemperature = document.getElementById("aiTemperature");
+    this.aiStatus = document.getElementById("aiStatus");
+    this.testAIBtn = document.getElementById("testAIBtn");
+    this.saveAIBtn = document.getElementById("saveAIBtn");
+    this.aiSettings = null;
+    this.aiUtils = new AIUtils(new CacheManager(), new StorageUtils());
+
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    await this.loadSync();
+    await this.loadBrowserSync();
+    await this.loadAI();
+  }
+
+  bindEvents() {
+    this.saveSyncBtn.addEventListener("click", () => this.handleSaveSync());
+    this.syncNowBtn.addEventListener("click", () => this.handleSyncNow());
+    this.saveBrowserSyncBtn.addEventListener("click", () =>
+      this.handleSaveBrowserSync()
+    );
+    this.aiProvider.addEventListener("change", () =>
+      this.handleProviderChange()
+    );
+    this.saveAIBtn.addEventListener("click", () => this.handleSaveAI());
+    this.testAIBtn.addEventListener("click", () => this.handleTestAI());
+  }
+
+  async loadSync() {
+    try {
+      const { settings, state } = await this.sendMessage({
+        action: "getSyncStatus",
+      });
+      this.syncUrl.value = settings.url;
+      this.syncToken.value = settings.token;
+      this.syncInterval.value = String(settings.intervalMinutes);
+      this.syncEnabled.checked = settings.enabled;
+      this.syncNowBtn.disabled = !settings.url;
+      this.showSyncState(state);
+    } catch (error) {
+      console.error("Failed to load sync settings:", error);
+      this.showStatus("Failed to load sync settings", true);
+    }
+  }
+
+  showSyncState(state) {
+    if (state.lastError) {
+      this.showStatus(`Last sync failed: ${state.lastError}`, true);
+    } else if (state.lastSyncAt) {
+      this.showStatus(
+        `Last synced ${new Date(state.lastSyncAt).toLocaleString()}`
+      );
+    } else {
+      this.showStatus("Not synced yet");
+    }
+  }
+
+  showStatus(message, isError = false, element = this.syncStatus) {
+    element.textContent = message;
+    element.classList.toggle("status-error", isError);
+  }
+
+  async handleSaveSync() {
+    try {
+      await this.sendMessage({
+        action: "saveSyncSettings",
+        settings: {
+          url: this.syncUrl.value,
+          token: this.syncToken.value,
+          intervalMinutes: Number(this.syncInterval.value),
+          enabled: this.syncEnabled.checked,
+        },
+      });
+      await this.loadSync();
+      this.showStatus("Saved");
+    } catch (error) {
+      console.error("Failed to save sync settings:", error);
+      this.showStatus(error.message, true);
+    }
+  }
+
+  async handleSyncNow() {
+    this.syncNowBtn.disabled = true;
+    this.showStatus("Syncing…");
+
+    try {
+      const { result } = await this.sendMessage({ action: "syncNow" });
+      this.showStatus(
+        `Synced: ${result.pulled} received, ${result.pushed} sent`
+      );
+    } catch (error) {
+      console.error("Sync failed:", error);
+      this.showStatus(error.message, true);
+    } finally {
+      this.syncNowBtn.disabled = false;
+    }
+  }
+
+  async loadBrowserSync() {
+    try {
+      const { settings, state } = await this.sendMessage({
+        action: "getBrowserSyncStatus",
+      });
+      this.browserSyncEnabled.checked = settings.enabled;
+      this.showBrowserSyncState(settings, state);
+    } catch (error) {
+      console.error("Failed to load browser sync settings:", error);
+      this.showStatus(
+        "Failed to load browser sync settings",
+        true,
+        this.browserSyncStatus
+      );
+    }
+  }
+
+  // Usage, and a warning when the oldest highlights didn't fit
+  showBrowserSyncState(settings, state) {
+    if (state.lastError) {
+      this.showStatus(
+        `Last sync failed: ${state.lastError}`,
+        true,
+        this.browserSyncStatus
+      );
+      return;
+    }
+    if (!settings.enabled || !state.lastSyncAt) {
+      this.showStatus(
+        settings.enabled ? "Not synced yet" : "Off",
+        false,
+        this.browserSyncStatus
+      );
+      return;
+    }
+
+    const usage = `${Math.round(state.bytes / 1024)} of ${Math.round(
+      state.quotaBytes / 1024
+    )} KB used, ${state.mirrored} highlight${
+      state.mirrored !== 1 ? "s" : ""
+    } synced`;
+    if (state.evicted > 0) {
+      this.showStatus(
+        `${usage}. Storage is full: the ${state.evicted} oldest highlight${
+          state.evicted !== 1 ? "s aren't" : " isn't"
+        } synced`,
+        true,
+        this.browserSyncStatus
+      );
+    } else {
+      this.showStatus(usage, false, this.browserSyncStatus);
+    }
+  }
+
+  async handleSaveBrowserSync() {
+    try {
+      await this.sendMessage({
+        action: "saveBrowserSyncSettings",
+        settings: { enabled: this.browserSyncEnabled.checked },
+      });
+      this.showStatus(
+        this.browserSyncEnabled.checked ? "Saved; syncing shortly" : "Off",
+        false,
+        this.browserSyncStatus
+      );
+    } catch (error) {
+      console.error("Failed to save browser sync settings:", error);
+      this.showStatus(error.message, true, this.browserSyncStatus);
+    }
+  }
+
+  async loadAI() {
+    try {
+      const { settings, providers } = await this.sendMessage({
+        action: "getAISettings",
+      });
+      this.aiSettings = settings;
+      this.aiProviders = providers;
+
+      this.aiProvider.innerHTML = "";
+      providers.forEach(({ id, name }) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = name;
+        this.aiProvider.appendChild(option);
+      });
+      this.aiProvider.value = settings.provider;
+      this.aiMaxTokens.value = String(settings.maxTokens);
+      this.aiTemperature.value = String(settings.temperature);
+      this.showProviderSettings();
+      await this.showAIServiceStatus();
+    } catch (error) {
+      console.error("Failed to load AI settings:", error);
+      this.showStatus("Failed to load AI settings", true, this.aiStatus);
+    }
+  }
+
+  // Whether the settings are complete enough to summarize with
+  async showAIServiceStatus() {
+    const status = await this.aiUtils.getAIServiceStatus();
+    if (status.available) {
+      this.showStatus(`Ready, using ${status.model}`, false, this.aiStatus);
+    } else {
+      this.showStatus(status.error, true, this.aiStatus);
+    }
+  }
+
+  // Fill the fields with the chosen provider's settings
+  showProviderSettings() {
+    const id = this.aiProvider.value;
+    const provider = this.aiProviders.find((p) => p.id === id);
+    const settings = this.aiSettings.providers[id];
+
+    this.aiBaseUrl.value = settings.baseUrl;
+    this.aiBaseUrl.placeholder = provider.defaultBaseUrl;
+    this.aiModel.value = settings.model;
+    this.aiModel.placeholder = provider.defaultModel;
+    this.aiApiKey.value = settings.apiKey;
+    this.aiApiKey.placeholder = provider.requiresKey
+      ? "Required"
+      : "Optional for most local servers";
+  }
+
+  // Keep what was typed for a provider while another one is shown
+  rememberProviderSettings(id) {
+    this.aiSettings.providers[id] = {
+      baseUrl: this.aiBaseUrl.value,
+      model: this.aiModel.value,
+      apiKey: this.aiApiKey.value,
+    };
+  }
+
+  handleProviderChange() {
+    this.rememberProviderSettings(this.aiSettings.provider);
+    this.aiSettings.provider = this.aiProvider.value;
+    this.showProviderSettings();
+  }
+
+  async saveAI() {
+    this.rememberProviderSettings(this.aiProvider.value);
+
+    const response = await this.aiUtils.configureAIService({
+      provider: this.aiProvider.value,
+      maxTokens: Number(this.aiMaxTokens.value),
+      temperature: Number(this.aiTemperature.value),
+      providers: this.aiSettings.providers,
+    });
+    if (!response.success) {
+      throw new Error(response.error || "Failed to save AI settings");
+    }
+
+    this.aiSettings = response.settings;
+    this.aiMaxTokens.value = String(response.settings.maxTokens);
+    this.aiTemperature.value = String(response.settings.temperature);
+    this.showProviderSettings();
+  }
+
+  async handleSaveAI() {
+    try {
+      await this.saveAI();
+      this.showStatus("Saved", false, this.aiStatus);
+    } catch (error) {
+      console.error("Failed to save AI settings:", error);
+      this.showStatus(error.message, true, this.aiStatus);
+    }
+  }
+
+  // Save what is in the fields, then summarize a sample highlight with it
+  async handleTestAI() {
+    this.testAIBtn.disabled = true;
+    this.showStatus("Testing…", false, this.aiStatus);
+
+    try {
+      await this.saveAI();
+      this.aiUtils.clearAICache();
+
+      const result = await this.aiUtils.testAIConnection();
+      if (result.success) {
+        this.showStatus(`Connected: "${result.summary}"`, false, this.aiStatus);
+      } else {
+        this.showStatus(result.error, true, this.aiStatus);
+      }
+    } catch (error) {
+      console.error("Failed to test AI connection:", error);
+      this.showStatus(error.message, true, this.aiStatus);
+    } finally {
+      this.testAIBtn.disabled = false;
+    }
+  }
+
+  async sendMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.success) {
+      throw new Error(response?.error || "No response from background");
+    }
+    return response;
+  }
+}
+
+// Initialize the options page when the DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  new OptionsPage();
+});
@@ -1,126 +1,1278 @@
 // Storage management
+// Highlights live in the background's IndexedDB store, so every call goes
+// through a background message
 class HighlightStorage {
   static async getAll() {
-    const result = await chrome.storage.local.get(["highlights"]);
-    return result.highlights || [];
+    const response = await this.sendMessage({ action: "getHighlights" });
+    return response.highlights || [];
   }
 
   static async save(highlight) {
-    const highlights = await this.getAll();
-    highlights.unshift(highlight); // Add to beginning
-    await chrome.storage.local.set({ highlights });
-    return highlight;
+    const response = await this.sendMessage({
+      action: "saveHighlight",
+      highlight,
+    });
+    return response.highlight;
   }
 
+  // Destructive calls resolve with an undo record ({ id, type, count })
   static async delete(id) {
-    const highlights = await this.getAll();
-    const filtered = highlights.filter((h) => h.id !== id);
-    await chrome.storage.local.set({ highlights: filtered });
+    const response = await this.sendMessage({
+      action: "deleteHighlight",
+      highlightId: id,
+    });
+    return response.undo;
   }
 
   static async clearAll() {
-    await chrome.storage.local.set({ highlights: [] });
+    const response = await this.sendMessage({ action: "clearAllHighlights" });
+    return response.undo;
+  }
+
+  static async undo(undoId) {
+    const response = await this.sendMessage({
+      action: "undoLastAction",
+      undoId,
+    });
+    return response.count;
+  }
+
+  static async getTrash() {
+    return this.sendMessage({ action: "getTrash" });
+  }
+
+  static async restore(ids) {
+    const response = await this.sendMessage({
+      action: "restoreHighlights",
+      highlightIds: ids,
+    });
+    return response.count;
+  }
+
+  static async purge(ids) {
+    const response = await this.sendMessage({
+      action: "purgeHighlights",
+      highlightIds: ids,
+    });
+    return response.count;
+  }
+
+  static async emptyTrash() {
+    const response = await this.sendMessage({ action: "emptyTrash" });
+    return response.count;
+  }
+
+  static async saveTrashRetention(retentionDays) {
+    const response = await this.sendMessage({
+      action: "saveTrashSettings",
+      retentionDays,
+    });
+    return response.retentionDays;
+  }
+
+  // Resolves with { snapshots, settings }; snapshots are newest first
+  static async getBackups() {
+    return this.sendMessage({ action: "getBackupSnapshots" });
+  }
+
+  static async createBackup() {
+    const response = await this.sendMessage({
+      action: "createBackupSnapshot",
+    });
+    return response.snapshot;
+  }
+
+  static async downloadBackup(snapshotId) {
+    const response = await this.sendMessage({
+      action: "exportBackupSnapshot",
+      snapshotId,
+    });
+    this.downloadFile(response.file);
   }
 
-  static async export() {
-    const highlights = await this.getAll();
-    const dataStr = JSON.stringify(highlights, null, 2);
-    const dataBlob = new Blob([dataStr], { type: "application/json" });
+  static async restoreBackup(snapshotId) {
+    const response = await this.sendMessage({
+      action: "restoreBackupSnapshot",
+      snapshotId,
+    });
+    return response.undo;
+  }
+
+  static async deleteBackup(snapshotId) {
+    await this.sendMessage({ action: "deleteBackupSnapshot", snapshotId });
+  }
+
+  // settings: { frequency: "off" | "daily" | "weekly", keep }
+  static async saveBackupSettings(settings) {
+    const response = await this.sendMessage({
+      action: "saveBackupSettings",
+      settings,
+    });
+    return response.settings;
+  }
+
+  // options: { format, highlightIds, url, title }; see exportHighlights
+  static async export(options = {}) {
+    const response = await this.sendMessage({
+      action: "exportHighlights",
+      ...options,
+    });
+    this.downloadFile(response.file);
+  }
+
+  static async exportCollection(collectionId) {
+    const response = await this.sendMessage({
+      action: "exportCollection",
+      collectionId,
+    });
+    const slug =
+      response.data.collection.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "collection";
+    this.downloadFile({
+      filename: `collection-${slug}-${
+        new Date().toISOString().split("T")[0]
+      }.json`,
+      mimeType: "application/json",
+      content: JSON.stringify(response.data, null, 2),
+    });
+  }
+
+  static downloadFile({ filename, mimeType, content, encoding }) {
+    const data =
+      encoding === "base64"
+        ? Uint8Array.from(atob(content), (c) => c.charCodeAt(0))
+        : content;
+    const dataBlob = new Blob([data], { type: mimeType });
 
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement("a");
     link.href = url;
-    link.download = `highlights-${new Date().toISOString().split("T")[0]}.json`;
+    link.download = filename;
     link.click();
     URL.revokeObjectURL(url);
   }
 
-  static async import(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        try {
-          const highlights = JSON.parse(e.target.result);
-          if (Array.isArray(highlights)) {
-            await chrome.storage.local.set({ highlights });
-            resolve(highlights);
-          } else {
-            reject(new Error("Invalid file format"));
-          }
-        } catch (error) {
-          reject(error);
-        }
-      };
-      reader.readAsText(file);
+  static async sendMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.success) {
+      const error = new Error(response?.error || "No response from background");
+      error.code = response?.code;
+      throw error;
+    }
+    return response;
+  }
+
+  static async update(id, updates) {
+    const response = await this.sendMessage({
+      action: "updateHighlight",
+      highlightId: id,
+      updates,
+    });
+    return response.highlight;
+  }
+
+  static async getColorLabels() {
+    const response = await this.sendMessage({ action: "getColorLabels" });
+    return response.labels || {};
+  }
+
+  static async saveColorLabels(labels) {
+    const response = await this.sendMessage({
+      action: "saveColorLabels",
+      labels,
+    });
+    return response.labels || {};
+  }
+
+  static async renameTag(from, to) {
+    const response = await this.sendMessage({ action: "renameTag", from, to });
+    return response.count;
+  }
+
+  static async deleteTag(tag) {
+    const response = await this.sendMessage({ action: "deleteTag", tag });
+    return response.count;
+  }
+
+  static async getCollections() {
+    const response = await this.sendMessage({ action: "getCollections" });
+    return response.collections || [];
+  }
+
+  static async createCollection(collection) {
+    const response = await this.sendMessage({
+      action: "createCollection",
+      collection,
+    });
+    return response.collection;
+  }
+
+  static async updateCollection(collectionId, updates) {
+    const response = await this.sendMessage({
+      action: "updateCollection",
+      collectionId,
+      updates,
+    });
+    return response.collection;
+  }
+
+  static async deleteCollection(collectionId) {
+    await this.sendMessage({ action: "deleteCollection", collectionId });
+  }
+
+  static async addToCollection(collectionId, highlightId) {
+    const response = await this.sendMessage({
+      action: "addToCollection",
+      collectionId,
+      highlightId,
+    });
+    return response.collection;
+  }
+
+  static async removeFromCollection(collectionId, highlightId) {
+    const response = await this.sendMessage({
+      action: "removeFromCollection",
+      collectionId,
+      highlightId,
+    });
+    return response.collection;
+  }
+
+  // JSON backups and Web Annotation files are told apart by the
+  // background service worker
+  static async readImportFile(file) {
+    const data = JSON.parse(await file.text());
+    if (!data || typeof data !== "object") {
+      throw new Error("Invalid file format");
+    }
+    return data;
+  }
+
+  // Rejects with code "WRONG_PASSPHRASE" when the passphrase doesn't match
+  static async decryptBackup(backup, passphrase) {
+    const response = await this.sendMessage({
+      action: "decryptBackup",
+      backup,
+      passphrase,
+    });
+    return response.data;
+  }
+
+  static isEncryptedBackup(data) {
+    return data.format === "highlight-saver-encrypted";
+  }
+
+  // Readwise CSV ("readwise") and Kindle ("kindle") files are sent as text
+  // and parsed by the background service worker; JSON files need no format
+  static async previewImport(data, format) {
+    const response = await this.sendMessage({
+      action: "previewImport",
+      highlights: data,
+      format,
+    });
+    return response.preview;
+  }
+
+  // options.mode is "merge" (default) or "replace"; options.resolutions maps
+  // conflicting highlight ids to "merge" (default), "mine" or "theirs"
+  static async import(data, options = {}) {
+    const response = await this.sendMessage({
+      action: "importHighlights",
+      highlights: data,
+      format: options.format,
+      mode: options.mode || "merge",
+      resolutions: options.resolutions || {},
+    });
+    return response.undo;
+  }
+}
+
+// UI management
+class PopupUI {
+  constructor() {
+    this.highlightsList = document.getElementById("highlightsList");
+    this.emptyState = document.getElementById("emptyState");
+    this.searchInput = document.getElementById("searchInput");
+    this.highlightCount = document.getElementById("highlightCount");
+    this.exportBtn = document.getElementById("exportBtn");
+    this.importBtn = document.getElementById("importBtn");
+    this.fileInput = document.getElementById("fileInput");
+    this.clearAllBtn = document.getElementById("clearAllBtn");
+    this.colorFilter = document.getElementById("colorFilter");
+    this.colorsBtn = document.getElementById("colorsBtn");
+    this.colorLabelsPanel = document.getElementById("colorLabelsPanel");
+    this.colorLabelsList = document.getElementById("colorLabelsList");
+    this.saveColorLabelsBtn = document.getElementById("saveColorLabelsBtn");
+    this.tagFilter = document.getElementById("tagFilter");
+    this.tagsBtn = document.getElementById("tagsBtn");
+    this.tagManagerPanel = document.getElementById("tagManagerPanel");
+    this.tagManagerList = document.getElementById("tagManagerList");
+    this.collectionSelect = document.getElementById("collectionSelect");
+    this.newCollectionBtn = document.getElementById("newCollectionBtn");
+    this.collectionPanel = document.getElementById("collectionPanel");
+    this.collectionName = document.getElementById("collectionName");
+    this.collectionDescription = document.getElementById(
+      "collectionDescription"
+    );
+    this.saveCollectionBtn = document.getElementById("saveCollectionBtn");
+    this.exportCollectionBtn = document.getElementById("exportCollectionBtn");
+    this.deleteCollectionBtn = document.getElementById("deleteCollectionBtn");
+    this.exportPanel = document.getElementById("exportPanel");
+    this.exportFormat = document.getElementById("exportFormat");
+    this.exportScope = document.getElementById("exportScope");
+    this.exportColumns = document.getElementById("exportColumns");
+    this.exportPassphrase = document.getElementById("exportPassphrase");
+    this.exportPassphraseInput = document.getElementById(
+      "exportPassphraseInput"
+    );
+    this.exportPassphraseConfirm = document.getElementById(
+      "exportPassphraseConfirm"
+    );
+    this.exportSummaries = document.getElementById("exportSummaries");
+    this.downloadExportBtn = document.getElementById("downloadExportBtn");
+    this.trashBtn = document.getElementById("trashBtn");
+    this.trashPanel = document.getElementById("trashPanel");
+    this.trashRetention = document.getElementById("trashRetention");
+    this.emptyTrashBtn = document.getElementById("emptyTrashBtn");
+    this.settingsBtn = document.getElementById("settingsBtn");
+    this.backupsBtn = document.getElementById("backupsBtn");
+    this.backupsPanel = document.getElementById("backupsPanel");
+    this.backupFrequency = document.getElementById("backupFrequency");
+    this.backupKeep = document.getElementById("backupKeep");
+    this.backupList = document.getElementById("backupList");
+    this.backupNowBtn = document.getElementById("backupNowBtn");
+    this.emptyStateTitle = document.getElementById("emptyStateTitle");
+    this.emptyStateText = document.getElementById("emptyStateText");
+    this.undoToast = document.getElementById("undoToast");
+    this.undoMessage = document.getElementById("undoMessage");
+    this.undoBtn = document.getElementById("undoBtn");
+    this.importPanel = document.getElementById("importPanel");
+    this.importSummary = document.getElementById("importSummary");
+    this.importConflicts = document.getElementById("importConflicts");
+    this.importInvalid = document.getElementById("importInvalid");
+    this.mergeImportBtn = document.getElementById("mergeImportBtn");
+    this.replaceImportBtn = document.getElementById("replaceImportBtn");
+    this.cancelImportBtn = document.getElementById("cancelImportBtn");
+    this.unlockPanel = document.getElementById("unlockPanel");
+    this.unlockPassphrase = document.getElementById("unlockPassphrase");
+    this.unlockError = document.getElementById("unlockError");
+    this.unlockBtn = document.getElementById("unlockBtn");
+    this.cancelUnlockBtn = document.getElementById("cancelUnlockBtn");
+
+    this.highlights = [];
+    this.filteredHighlights = [];
+    this.colorLabels = {};
+    this.activeColor = null; // Color id being filtered on, null for all
+    this.knownTags = []; // [{ name, count }], most used first
+    this.activeTags = new Set(); // Lowercased tags that must all be present
+    this.collections = [];
+    this.activeCollectionId = null; // Collection being viewed, null for all
+    this.showingTrash = false;
+    this.trash = [];
+    this.pendingUndo = null; // Last destructive action that can be undone
+    this.undoTimeout = null;
+    this.pendingImport = null; // { data, preview } waiting for confirmation
+    this.pendingBackup = null; // Encrypted backup waiting for its passphrase
+
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    await this.loadColorLabels();
+    await this.loadHighlights();
+  }
+
+  bindEvents() {
+    this.searchInput.addEventListener("input", () => this.filterHighlights());
+    this.exportBtn.addEventListener("click", () => this.toggleExportPanel());
+    this.downloadExportBtn.addEventListener("click", () => this.handleExport());
+    this.exportFormat.addEventListener("change", () =>
+      this.updateExportOptions()
+    );
+    this.importBtn.addEventListener("click", () => this.handleImport());
+    this.fileInput.addEventListener("change", (e) => this.handleFileSelect(e));
+    this.clearAllBtn.addEventListener("click", () => this.handleClearAll());
+    this.colorsBtn.addEventListener("click", () => this.toggleColorLabels());
+    this.saveColorLabelsBtn.addEventListener("click", () =>
+      this.handleSaveColorLabels()
+    );
+    this.tagsBtn.addEventListener("click", () => this.toggleTagManager());
+    this.collectionSelect.addEventListener("change", () =>
+      this.setActiveCollection(this.collectionSelect.value || null)
+    );
+    this.newCollectionBtn.addEventListener("click", () =>
+      this.handleCreateCollection()
+    );
+    this.saveCollectionBtn.addEventListener("click", () =>
+      this.handleSaveCollection()
+    );
+    this.exportCollectionBtn.addEventListener("click", () =>
+      this.handleExportCollection()
+    );
+    this.deleteCollectionBtn.addEventListener("click", () =>
+      this.handleDeleteCollection()
+    );
+    this.trashBtn.addEventListener("click", () => this.toggleTrash());
+    this.trashRetention.addEventListener("change", () =>
+      this.handleTrashRetentionChange()
+    );
+    this.emptyTrashBtn.addEventListener("click", () => this.handleEmptyTrash());
+    this.settingsBtn.addEventListener("click", () =>
+      chrome.runtime.openOptionsPage()
+    );
+    this.backupsBtn.addEventListener("click", () => this.toggleBackupsPanel());
+    this.backupFrequency.addEventListener("change", () =>
+      this.handleBackupSettingsChange()
+    );
+    this.backupKeep.addEventListener("change", () =>
+      this.handleBackupSettingsChange()
+    );
+    this.backupNowBtn.addEventListener("click", () => this.handleBackupNow());
+    this.undoBtn.addEventListener("click", () => this.handleUndo());
+    this.mergeImportBtn.addEventListener("click", () =>
+      this.confirmImport("merge")
+    );
+    this.replaceImportBtn.addEventListener("click", () =>
+      this.confirmImport("replace")
+    );
+    this.cancelImportBtn.addEventListener("click", () => this.closeImport());
+    this.unlockBtn.addEventListener("click", () => this.handleUnlockBackup());
+    this.unlockPassphrase.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") this.handleUnlockBackup();
+    });
+    this.cancelUnlockBtn.addEventListener("click", () => this.closeUnlock());
+  }
+
+  async loadHighlights() {
+    this.highlights = await HighlightStorage.getAll();
+    this.knownTags = TagUtils.collect(this.highlights);
+    await this.loadCollections();
+
+    // Drop filters for tags that no longer exist
+    const existing = new Set(this.knownTags.map((t) => t.name.toLowerCase()));
+    this.activeTags.forEach((tag) => {
+      if (!existing.has(tag)) this.activeTags.delete(tag);
+    });
+
+    this.renderTagFilter();
+    if (this.tagManagerPanel.style.display !== "none") {
+      this.renderTagManager();
+    }
+    this.filterHighlights();
+
+    if (this.showingTrash) {
+      await this.loadTrash();
+    }
+  }
+
+  async loadColorLabels() {
+    try {
+      this.colorLabels = await HighlightStorage.getColorLabels();
+    } catch (error) {
+      console.error("Failed to load color labels:", error);
+      this.colorLabels = {};
+    }
+    this.renderColorFilter();
+  }
+
+  async loadCollections() {
+    try {
+      this.collections = await HighlightStorage.getCollections();
+    } catch (error) {
+      console.error("Failed to load collections:", error);
+      this.collections = [];
+    }
+
+    if (!this.getActiveCollection()) {
+      this.activeCollectionId = null;
+    }
+    this.renderCollectionSelect();
+    this.renderCollectionPanel();
+  }
+
+  getActiveCollection() {
+    return (
+      this.collections.find((c) => c.id === this.activeCollectionId) || null
+    );
+  }
+
+  // Highlights in the active collection, in collection order
+  getViewHighlights() {
+    const collection = this.getActiveCollection();
+    if (!collection) {
+      return this.highlights;
+    }
+
+    const byId = new Map(this.highlights.map((h) => [h.id, h]));
+    return collection.highlightIds.map((id) => byId.get(id)).filter(Boolean);
+  }
+
+  filterHighlights() {
+    const query = this.searchInput.value.toLowerCase().trim();
+
+    this.filteredHighlights = this.getViewHighlights().filter((highlight) => {
+      if (
+        this.activeColor &&
+        HighlightColors.normalize(highlight.color) !== this.activeColor
+      ) {
+        return false;
+      }
+
+      const tags = (highlight.tags || []).map((tag) => tag.toLowerCase());
+      for (const tag of this.activeTags) {
+        if (!tags.includes(tag)) return false;
+      }
+
+      return (
+        !query ||
+        tags.some((tag) => tag.includes(query.replace(/^#/, ""))) ||
+        highlight.text.toLowerCase().includes(query) ||
+        (highlight.title || "").toLowerCase().includes(query) ||
+        (highlight.domain || "").toLowerCase().includes(query) ||
+        (highlight.author || "").toLowerCase().includes(query) ||
+        (highlight.note || "").toLowerCase().includes(query)
+      );
+    });
+
+    this.render();
+  }
+
+  renderColorFilter() {
+    this.colorFilter.innerHTML = "";
+
+    const allChip = document.createElement("button");
+    allChip.className = "color-chip";
+    allChip.textContent = "All";
+    allChip.classList.toggle("active", this.activeColor === null);
+    allChip.addEventListener("click", () => this.setColorFilter(null));
+    this.colorFilter.appendChild(allChip);
+
+    HighlightColors.withLabels(this.colorLabels).forEach((color) => {
+      const chip = document.createElement("button");
+      chip.className = "color-chip";
+      chip.title = color.label || color.name;
+      chip.classList.toggle("active", this.activeColor === color.id);
+
+      const dot = document.createElement("span");
+      dot.className = "color-dot";
+      dot.style.backgroundColor = color.swatch;
+      chip.appendChild(dot);
+
+      if (color.label) {
+        chip.appendChild(document.createTextNode(color.label));
+      }
+
+      chip.addEventListener("click", () => this.setColorFilter(color.id));
+      this.colorFilter.appendChild(chip);
+    });
+  }
+
+  setColorFilter(colorId) {
+    this.activeColor = this.activeColor === colorId ? null : colorId;
+    this.renderColorFilter();
+    this.filterHighlights();
+  }
+
+  renderTagFilter() {
+    this.tagFilter.innerHTML = "";
+    this.tagFilter.style.display = this.knownTags.length ? "flex" : "none";
+
+    this.knownTags.forEach((tag) => {
+      const chip = document.createElement("button");
+      chip.className = "color-chip tag-chip";
+      chip.textContent = `#${tag.name}`;
+      chip.title = `${tag.count} highlight${tag.count !== 1 ? "s" : ""}`;
+      chip.classList.toggle(
+        "active",
+        this.activeTags.has(tag.name.toLowerCase())
+      );
+      chip.addEventListener("click", () => this.toggleTagFilter(tag.name));
+      this.tagFilter.appendChild(chip);
+    });
+  }
+
+  toggleTagFilter(tag) {
+    const key = tag.toLowerCase();
+    if (this.activeTags.has(key)) {
+      this.activeTags.delete(key);
+    } else {
+      this.activeTags.add(key);
+    }
+    this.renderTagFilter();
+    this.filterHighlights();
+  }
+
+  toggleTagManager() {
+    const isOpen = this.tagManagerPanel.style.display !== "none";
+    this.tagManagerPanel.style.display = isOpen ? "none" : "block";
+    if (!isOpen) {
+      this.renderTagManager();
+    }
+  }
+
+  renderTagManager() {
+    this.tagManagerList.innerHTML = "";
+
+    if (this.knownTags.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "tag-manager-empty";
+      empty.textContent = "No tags yet. Add tags when saving a highlight.";
+      this.tagManagerList.appendChild(empty);
+      return;
+    }
+
+    this.knownTags.forEach((tag) => {
+      const row = document.createElement("div");
+      row.className = "color-label-row";
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "search-input";
+      input.maxLength = TagUtils.MAX_TAG_LENGTH;
+      input.value = tag.name;
+
+      const count = document.createElement("span");
+      count.className = "tag-count";
+      count.textContent = tag.count;
+
+      const renameBtn = document.createElement("button");
+      renameBtn.className = "btn";
+      renameBtn.textContent = "Rename";
+      renameBtn.addEventListener("click", () =>
+        this.handleRenameTag(tag.name, input.value)
+      );
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "btn btn-danger";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.addEventListener("click", () =>
+        this.handleDeleteTag(tag.name, tag.count)
+      );
+
+      row.appendChild(input);
+      row.appendChild(count);
+      row.appendChild(renameBtn);
+      row.appendChild(deleteBtn);
+      this.tagManagerList.appendChild(row);
+    });
+  }
+
+  async handleRenameTag(from, to) {
+    const newName = TagUtils.normalizeTag(to);
+    if (!newName || newName === from) return;
+
+    const existing = this.knownTags.find(
+      (tag) => TagUtils.equals(tag.name, newName) && tag.name !== from
+    );
+    if (
+      existing &&
+      !TagUtils.equals(existing.name, from) &&
+      !confirm(`"${existing.name}" already exists. Merge "${from}" into it?`)
+    ) {
+      return;
+    }
+
+    try {
+      await HighlightStorage.renameTag(from, newName);
+      if (this.activeTags.delete(from.toLowerCase())) {
+        this.activeTags.add(newName.toLowerCase());
+      }
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to rename tag:", error);
+      alert("Failed to rename tag");
+    }
+  }
+
+  async handleDeleteTag(tag, count) {
+    if (
+      !confirm(
+        `Remove the tag "${tag}" from ${count} highlight${
+          count !== 1 ? "s" : ""
+        }? The highlights themselves are kept.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await HighlightStorage.deleteTag(tag);
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to delete tag:", error);
+      alert("Failed to delete tag");
+    }
+  }
+
+  renderCollectionSelect() {
+    this.collectionSelect.innerHTML = "";
+    const liveIds = new Set(this.highlights.map((h) => h.id));
+
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = "All highlights";
+    this.collectionSelect.appendChild(all);
+
+    this.collections.forEach((collection) => {
+      const option = document.createElement("option");
+      option.value = collection.id;
+      const count = collection.highlightIds.filter((id) =>
+        liveIds.has(id)
+      ).length;
+      option.textContent = `${collection.name} (${count})`;
+      this.collectionSelect.appendChild(option);
+    });
+
+    this.collectionSelect.value = this.activeCollectionId || "";
+  }
+
+  renderCollectionPanel() {
+    const collection = this.getActiveCollection();
+    this.collectionPanel.style.display = collection ? "block" : "none";
+    if (collection) {
+      this.collectionName.value = collection.name;
+      this.collectionDescription.value = collection.description || "";
+    }
+  }
+
+  setActiveCollection(collectionId) {
+    this.activeCollectionId = collectionId;
+    this.renderCollectionSelect();
+    this.renderCollectionPanel();
+    this.filterHighlights();
+  }
+
+  async handleCreateCollection() {
+    const name = prompt("Name for the new collection:");
+    if (!name || !name.trim()) return;
+
+    try {
+      const collection = await HighlightStorage.createCollection({ name });
+      this.collections.push(collection);
+      this.setActiveCollection(collection.id);
+    } catch (error) {
+      console.error("Failed to create collection:", error);
+      alert("Failed to create collection");
+    }
+  }
+
+  async handleSaveCollection() {
+    try {
+      await HighlightStorage.updateCollection(this.activeCollectionId, {
+        name: this.collectionName.value,
+        description: this.collectionDescription.value,
+      });
+      await this.loadCollections();
+    } catch (error) {
+      console.error("Failed to save collection:", error);
+      alert("Failed to save collection");
+    }
+  }
+
+  async handleExportCollection() {
+    try {
+      await HighlightStorage.exportCollection(this.activeCollectionId);
+    } catch (error) {
+      console.error("Export failed:", error);
+      alert("Failed to export collection");
+    }
+  }
+
+  async handleDeleteCollection() {
+    const collection = this.getActiveCollection();
+    if (
+      !collection ||
+      !confirm(
+        `Delete the collection "${collection.name}"? Its highlights are kept.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await HighlightStorage.deleteCollection(collection.id);
+      this.activeCollectionId = null;
+      await this.loadCollections();
+      this.filterHighlights();
+    } catch (error) {
+      console.error("Failed to delete collection:", error);
+      alert("Failed to delete collection");
+    }
+  }
+
+  async handleAddToCollection(collectionId, highlightId) {
+    try {
+      await HighlightStorage.addToCollection(collectionId, highlightId);
+      await this.loadCollections();
+      this.render();
+    } catch (error) {
+      console.error("Failed to add to collection:", error);
+      alert("Failed to add to collection");
+    }
+  }
+
+  async handleRemoveFromCollection(highlightId) {
+    try {
+      await HighlightStorage.removeFromCollection(
+        this.activeCollectionId,
+        highlightId
+      );
+      await this.loadCollections();
+      this.filterHighlights();
+    } catch (error) {
+      console.error("Failed to remove from collection:", error);
+      alert("Failed to remove from collection");
+    }
+  }
+
+  // Move a highlight up (-1) or down (+1) within the active collection
+  async handleMoveInCollection(highlightId, direction) {
+    const collection = this.getActiveCollection();
+    if (!collection) return;
+
+    // Reorder among the highlights that are shown; trashed members keep
+    // their relative order after them
+    const order = this.getViewHighlights().map((h) => h.id);
+    const index = order.indexOf(highlightId);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+
+    try {
+      await HighlightStorage.updateCollection(collection.id, {
+        highlightIds: order,
+      });
+      await this.loadCollections();
+      this.filterHighlights();
+    } catch (error) {
+      console.error("Failed to reorder collection:", error);
+      alert("Failed to reorder collection");
+    }
+  }
+
+  toggleColorLabels() {
+    const isOpen = this.colorLabelsPanel.style.display !== "none";
+    if (isOpen) {
+      this.colorLabelsPanel.style.display = "none";
+      return;
+    }
+
+    this.colorLabelsList.innerHTML = "";
+    HighlightColors.withLabels(this.colorLabels).forEach((color) => {
+      const row = document.createElement("label");
+      row.className = "color-label-row";
+
+      const dot = document.createElement("span");
+      dot.className = "color-dot";
+      dot.style.backgroundColor = color.swatch;
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "search-input";
+      input.dataset.color = color.id;
+      input.placeholder = `${color.name} (e.g. "question")`;
+      input.maxLength = 40;
+      input.value = color.label;
+
+      row.appendChild(dot);
+      row.appendChild(input);
+      this.colorLabelsList.appendChild(row);
+    });
+
+    this.colorLabelsPanel.style.display = "block";
+  }
+
+  async handleSaveColorLabels() {
+    const labels = {};
+    this.colorLabelsList.querySelectorAll("input").forEach((input) => {
+      labels[input.dataset.color] = input.value;
+    });
+
+    try {
+      this.colorLabels = await HighlightStorage.saveColorLabels(labels);
+      this.colorLabelsPanel.style.display = "none";
+      this.renderColorFilter();
+      this.render();
+    } catch (error) {
+      console.error("Failed to save color labels:", error);
+      alert("Failed to save color labels");
+    }
+  }
+
+  render() {
+    if (this.showingTrash) {
+      this.renderTrash();
+      return;
+    }
+
+    this.updateCount();
+    this.toggleEmptyState();
+    this.renderHighlights();
+  }
+
+  async toggleTrash() {
+    this.showingTrash = !this.showingTrash;
+    document.body.classList.toggle("trash-mode", this.showingTrash);
+    this.trashPanel.style.display = this.showingTrash ? "block" : "none";
+    this.trashBtn.classList.toggle("active", this.showingTrash);
+
+    this.emptyStateTitle.textContent = this.showingTrash
+      ? "Trash is empty"
+      : "No highlights yet";
+    this.emptyStateText.textContent = this.showingTrash
+      ? "Deleted highlights are kept here for a while"
+      : "Select text on any webpage to save highlights";
+
+    if (this.showingTrash) {
+      await this.loadTrash();
+    } else {
+      this.render();
+    }
+  }
+
+  async loadTrash() {
+    try {
+      const response = await HighlightStorage.getTrash();
+      this.trash = response.highlights || [];
+      this.trashRetention.value = String(response.retentionDays);
+    } catch (error) {
+      console.error("Failed to load trash:", error);
+      this.trash = [];
+    }
+    this.render();
+  }
+
+  renderTrash() {
+    const count = this.trash.length;
+    this.highlightCount.textContent = `${count} in trash`;
+    this.emptyTrashBtn.disabled = count === 0;
+
+    this.highlightsList.style.display = count > 0 ? "block" : "none";
+    this.emptyState.style.display = count > 0 ? "none" : "flex";
+
+    this.highlightsList.innerHTML = "";
+    this.trash.forEach((highlight) => {
+      this.highlightsList.appendChild(this.createTrashElement(highlight));
+    });
+  }
+
+  createTrashElement(highlight) {
+    const div = document.createElement("div");
+    div.className = "highlight-item highlight-item-trashed";
+    div.dataset.id = highlight.id;
+
+    const text = document.createElement("div");
+    text.className = "highlight-text";
+    text.textContent = highlight.text;
+
+    const meta = document.createElement("div");
+    meta.className = "highlight-meta";
+
+    const domain = document.createElement("span");
+    domain.className = "highlight-domain";
+    domain.textContent = this.describeSource(highlight);
+
+    const date = document.createElement("span");
+    date.className = "highlight-date";
+    date.textContent = `Deleted ${this.formatDate(
+      highlight.deletedAt
+    ).toLowerCase()}`;
+
+    meta.appendChild(domain);
+    meta.appendChild(date);
+
+    const actions = document.createElement("div");
+    actions.className = "highlight-actions";
+
+    const restoreBtn = document.createElement("button");
+    restoreBtn.className = "btn btn-primary";
+    restoreBtn.textContent = "Restore";
+    restoreBtn.addEventListener("click", () =>
+      this.handleRestore(highlight.id)
+    );
+
+    const purgeBtn = document.createElement("button");
+    purgeBtn.className = "btn btn-danger";
+    purgeBtn.textContent = "Delete forever";
+    purgeBtn.addEventListener("click", () => this.handlePurge(highlight.id));
+
+    actions.appendChild(restoreBtn);
+    actions.appendChild(purgeBtn);
+
+    div.appendChild(text);
+    div.appendChild(meta);
+    div.appendChild(actions);
+
+    return div;
+  }
+
+  async handleRestore(id) {
+    try {
+      await HighlightStorage.restore([id]);
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to restore highlight:", error);
+      alert("Failed to restore highlight");
+    }
+  }
+
+  async handlePurge(id) {
+    if (!confirm("Delete this highlight forever? This cannot be undone.")) {
+      return;
+    }
+
+    try {
+      await HighlightStorage.purge([id]);
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to delete highlight:", error);
+      alert("Failed to delete highlight");
+    }
+  }
+
+  async handleEmptyTrash() {
+    if (
+      !confirm(
+        `Permanently delete ${this.trash.length} highlight${
+          this.trash.length !== 1 ? "s" : ""
+        } in the trash? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await HighlightStorage.emptyTrash();
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to empty trash:", error);
+      alert("Failed to empty trash");
+    }
+  }
+
+  async handleTrashRetentionChange() {
+    try {
+      await HighlightStorage.saveTrashRetention(
+        Number(this.trashRetention.value)
+      );
+      await this.loadTrash();
+    } catch (error) {
+      console.error("Failed to save trash retention:", error);
+      alert("Failed to save trash settings");
+    }
+  }
+
+  async toggleBackupsPanel() {
+    const isOpen = this.backupsPanel.style.display !== "none";
+    this.backupsPanel.style.display = isOpen ? "none" : "block";
+    if (!isOpen) {
+      await this.loadBackups();
+    }
+  }
+
+  async loadBackups() {
+    try {
+      const { snapshots, settings } = await HighlightStorage.getBackups();
+      this.backupFrequency.value = settings.frequency;
+      // Keep a count set elsewhere selectable
+      if (!this.backupKeep.querySelector(`option[value="${settings.keep}"]`)) {
+        const option = document.createElement("option");
+        option.value = String(settings.keep);
+        option.textContent = `Last ${settings.keep} backups`;
+        this.backupKeep.appendChild(option);
+      }
+      this.backupKeep.value = String(settings.keep);
+      this.renderBackups(snapshots);
+    } catch (error) {
+      console.error("Failed to load backups:", error);
+      this.renderBackups([]);
+    }
+  }
+
+  renderBackups(snapshots) {
+    this.backupList.innerHTML = "";
+
+    if (snapshots.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "tag-manager-empty";
+      empty.textContent = "No backups yet.";
+      this.backupList.appendChild(empty);
+      return;
+    }
+
+    snapshots.forEach((snapshot) => {
+      const row = document.createElement("div");
+      row.className = "backup-row";
+
+      const info = document.createElement("div");
+      info.className = "backup-info";
+      info.textContent = new Date(snapshot.timestamp).toLocaleString();
+
+      const details = document.createElement("span");
+      details.className = "backup-details";
+      details.textContent = `${snapshot.highlightCount} highlight${
+        snapshot.highlightCount !== 1 ? "s" : ""
+      } · ${this.formatSize(snapshot.size)}${
+        snapshot.reason === "manual" ? " · manual" : ""
+      }`;
+      info.appendChild(details);
+
+      const downloadBtn = document.createElement("button");
+      downloadBtn.className = "btn";
+      downloadBtn.textContent = "Download";
+      downloadBtn.addEventListener("click", () =>
+        this.handleDownloadBackup(snapshot.id)
+      );
+
+      const restoreBtn = document.createElement("button");
+      restoreBtn.className = "btn";
+      restoreBtn.textContent = "Restore";
+      restoreBtn.addEventListener("click", () =>
+        this.handleRestoreBackup(snapshot)
+      );
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "btn btn-danger";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.addEventListener("click", () =>
+        this.handleDeleteBackup(snapshot.id)
+      );
+
+      row.appendChild(info);
+      row.appendChild(downloadBtn);
+      row.appendChild(restoreBtn);
+      row.appendChild(deleteBtn);
+      this.backupList.appendChild(row);
     });
   }
-}
-
-// UI management
-class PopupUI {
-  constructor() {
-    this.highlightsList = document.getElementById("highlightsList");
-    this.emptyState = document.getElementById("emptyState");
-    this.searchInput = document.getElementById("searchInput");
-    this.highlightCount = document.getElementById("highlightCount");
-    this.exportBtn = document.getElementById("exportBtn");
-    this.importBtn = document.getElementById("importBtn");
-    this.fileInput = document.getElementById("fileInput");
-    this.clearAllBtn = document.getElementById("clearAllBtn");
 
-    this.highlights = [];
-    this.filteredHighlights = [];
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
 
-    this.init();
+  async handleBackupSettingsChange() {
+    try {
+      await HighlightStorage.saveBackupSettings({
+        frequency: this.backupFrequency.value,
+        keep: Number(this.backupKeep.value),
+      });
+      await this.loadBackups();
+    } catch (error) {
+      console.error("Failed to save backup settings:", error);
+      alert("Failed to save backup settings");
+    }
   }
 
-  async init() {
-    this.bindEvents();
-    await this.loadHighlights();
+  async handleBackupNow() {
+    try {
+      await HighlightStorage.createBackup();
+      await this.loadBackups();
+    } catch (error) {
+      console.error("Failed to create backup:", error);
+      alert("Failed to create backup");
+    }
   }
 
-  bindEvents() {
-    this.searchInput.addEventListener("input", () => this.filterHighlights());
-    this.exportBtn.addEventListener("click", () => this.handleExport());
-    this.importBtn.addEventListener("click", () => this.handleImport());
-    this.fileInput.addEventListener("change", (e) => this.handleFileSelect(e));
-    this.clearAllBtn.addEventListener("click", () => this.handleClearAll());
+  async handleDownloadBackup(snapshotId) {
+    try {
+      await HighlightStorage.downloadBackup(snapshotId);
+    } catch (error) {
+      console.error("Failed to download backup:", error);
+      alert("Failed to download backup");
+    }
   }
 
-  async loadHighlights() {
-    this.highlights = await HighlightStorage.getAll();
-    this.filteredHighlights = [...this.highlights];
-    this.render();
+  async handleRestoreBackup(snapshot) {
+    if (
+      !confirm(
+        `Restore the backup from ${new Date(
+          snapshot.timestamp
+        ).toLocaleString()}? Highlights added since then move to the trash.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const undo = await HighlightStorage.restoreBackup(snapshot.id);
+      await this.loadColorLabels();
+      await this.loadHighlights();
+      this.showUndoToast(undo);
+      this.reportSkipped(undo.skipped);
+    } catch (error) {
+      console.error("Failed to restore backup:", error);
+      alert("Failed to restore backup");
+    }
   }
 
-  filterHighlights() {
-    const query = this.searchInput.value.toLowerCase().trim();
+  async handleDeleteBackup(snapshotId) {
+    if (!confirm("Delete this backup? This cannot be undone.")) return;
 
-    if (!query) {
-      this.filteredHighlights = [...this.highlights];
-    } else {
-      this.filteredHighlights = this.highlights.filter(
-        (highlight) =>
-          highlight.text.toLowerCase().includes(query) ||
-          highlight.title.toLowerCase().includes(query) ||
-          highlight.domain.toLowerCase().includes(query)
-      );
+    try {
+      await HighlightStorage.deleteBackup(snapshotId);
+      await this.loadBackups();
+    } catch (error) {
+      console.error("Failed to delete backup:", error);
+      alert("Failed to delete backup");
     }
+  }
 
-    this.render();
+  showUndoToast(undo) {
+    if (!undo) return;
+
+    const plural = undo.count !== 1 ? "s" : "";
+    const messages = {
+      delete: "Highlight moved to trash",
+      clearAll: `${undo.count} highlight${plural} moved to trash`,
+      import: "Highlights replaced by import",
+      importMerge: `${undo.count} new highlight${plural} imported`,
+      importCsv: "Highlights imported from CSV",
+      importKindle: "Kindle clippings imported",
+      restoreSnapshot: "Backup restored",
+    };
+
+    this.pendingUndo = undo;
+    this.undoMessage.textContent = messages[undo.type] || "Done";
+    this.undoToast.style.display = "flex";
+
+    clearTimeout(this.undoTimeout);
+    this.undoTimeout = setTimeout(() => this.hideUndoToast(), 10000);
   }
 
-  render() {
-    this.updateCount();
-    this.toggleEmptyState();
-    this.renderHighlights();
+  hideUndoToast() {
+    clearTimeout(this.undoTimeout);
+    this.undoToast.style.display = "none";
+    this.pendingUndo = null;
+  }
+
+  async handleUndo() {
+    const undo = this.pendingUndo;
+    this.hideUndoToast();
+    if (!undo) return;
+
+    try {
+      await HighlightStorage.undo(undo.id);
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Undo failed:", error);
+      alert("This action can no longer be undone");
+    }
   }
 
   updateCount() {
     const count = this.filteredHighlights.length;
+    const orphanCount = this.filteredHighlights.filter(
+      (h) => h.orphaned
+    ).length;
     this.highlightCount.textContent = `${count} highlight${
       count !== 1 ? "s" : ""
-    }`;
+    }${orphanCount > 0 ? ` · ${orphanCount} orphaned` : ""}`;
   }
 
   toggleEmptyState() {
@@ -143,24 +1295,77 @@ class PopupUI {
     div.className = "highlight-item";
     div.dataset.id = highlight.id;
 
+    const color = HighlightColors.get(highlight.color);
+    div.style.borderLeft = `4px solid ${color.swatch}`;
+
     const text = document.createElement("div");
     text.className = "highlight-text";
-    text.textContent = highlight.text;
+    text.textContent = highlight.text || this.describeBookmark(highlight);
+
+    const note = document.createElement("div");
+    note.className = "highlight-note";
+    note.innerHTML = MarkdownRenderer.toHtml(highlight.note);
+    note.style.display = highlight.note ? "block" : "none";
+    note.addEventListener("click", (e) => {
+      // Links in notes open on their own, not the highlight's page
+      if (e.target.closest("a")) e.stopPropagation();
+    });
+
+    const tags = document.createElement("div");
+    tags.className = "highlight-tags";
+    (highlight.tags || []).forEach((tag) => {
+      const chip = document.createElement("button");
+      chip.className = "tag-chip";
+      chip.textContent = `#${tag}`;
+      chip.title = "Filter by this tag";
+      chip.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (!this.activeTags.has(tag.toLowerCase())) {
+          this.toggleTagFilter(tag);
+        }
+      });
+      tags.appendChild(chip);
+    });
 
     const meta = document.createElement("div");
     meta.className = "highlight-meta";
 
-    const domain = document.createElement("a");
+    // Kindle clippings have no page to link to
+    const domain = document.createElement(highlight.url ? "a" : "span");
     domain.className = "highlight-domain";
-    domain.href = highlight.url;
-    domain.target = "_blank";
-    domain.textContent = highlight.domain;
+    if (highlight.url) {
+      domain.href = highlight.url;
+      domain.target = "_blank";
+    }
+    domain.textContent = this.describeSource(highlight);
 
     const date = document.createElement("span");
     date.className = "highlight-date";
     date.textContent = this.formatDate(highlight.timestamp);
 
     meta.appendChild(domain);
+
+    const colorLabel = this.colorLabels[color.id];
+    if (colorLabel) {
+      const label = document.createElement("span");
+      label.className = "highlight-badge highlight-badge-color";
+      label.style.backgroundColor = color.swatch;
+      label.textContent = colorLabel;
+      meta.appendChild(label);
+    }
+
+    if (highlight.orphaned) {
+      const badge = document.createElement("span");
+      badge.className = "highlight-badge highlight-badge-orphaned";
+      badge.textContent = "Orphaned";
+      badge.title = highlight.lastSeen
+        ? `Not found on its page. Last seen ${this.formatDate(
+            highlight.lastSeen
+          )}.`
+        : "Not found on its page.";
+      meta.appendChild(badge);
+    }
+
     meta.appendChild(date);
 
     const actions = document.createElement("div");
@@ -174,9 +1379,44 @@ class PopupUI {
       this.handleDelete(highlight.id);
     });
 
+    if (highlight.orphaned) {
+      const reattachBtn = document.createElement("button");
+      reattachBtn.className = "btn btn-primary";
+      reattachBtn.textContent = "Re-attach";
+      reattachBtn.title = "Open the page and select the new text";
+      reattachBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.handleReattach(highlight);
+      });
+      actions.appendChild(reattachBtn);
+    }
+
+    const noteBtn = document.createElement("button");
+    noteBtn.className = "btn";
+    noteBtn.textContent = highlight.note ? "Edit note" : "Add note";
+    noteBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.showNoteEditor(div, highlight);
+    });
+
+    const tagsBtn = document.createElement("button");
+    tagsBtn.className = "btn";
+    tagsBtn.textContent = "Tags";
+    tagsBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.showTagEditor(div, highlight);
+    });
+
+    actions.appendChild(noteBtn);
+    actions.appendChild(tagsBtn);
+    this.appendCollectionActions(actions, highlight);
     actions.appendChild(deleteBtn);
 
     div.appendChild(text);
+    div.appendChild(note);
+    if (tags.childNodes.length > 0) {
+      div.appendChild(tags);
+    }
     div.appendChild(meta);
     div.appendChild(actions);
 
@@ -186,6 +1426,7 @@ class PopupUI {
       if (e.target !== div && !div.contains(e.target)) {
         return;
       }
+      if (!highlight.url) return;
 
       // Preserve existing URL hash and append highlight parameters
       let url = highlight.url;
@@ -203,6 +1444,222 @@ class PopupUI {
     return div;
   }
 
+  // Web highlights show their site; Kindle clippings their book and location
+  describeSource(highlight) {
+    if (highlight.url) {
+      return highlight.domain;
+    }
+
+    const location = highlight.kindle?.location;
+    return [
+      highlight.title,
+      highlight.author,
+      location ? `Loc. ${location.start}` : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  describeBookmark(highlight) {
+    const location = highlight.kindle?.location;
+    return location ? `Bookmark at location ${location.start}` : "Bookmark";
+  }
+
+  appendCollectionActions(actions, highlight) {
+    const collection = this.getActiveCollection();
+
+    if (collection) {
+      const visibleIds = this.getViewHighlights().map((h) => h.id);
+      const position = visibleIds.indexOf(highlight.id);
+      const moves = [
+        { text: "↑", title: "Move up", direction: -1 },
+        { text: "↓", title: "Move down", direction: 1 },
+      ];
+
+      moves.forEach(({ text, title, direction }) => {
+        const target = position + direction;
+        const button = document.createElement("button");
+        button.className = "btn";
+        button.textContent = text;
+        button.title = title;
+        button.disabled = target < 0 || target >= visibleIds.length;
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.handleMoveInCollection(highlight.id, direction);
+        });
+        actions.appendChild(button);
+      });
+
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "btn";
+      removeBtn.textContent = "Remove";
+      removeBtn.title = "Remove from this collection";
+      removeBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.handleRemoveFromCollection(highlight.id);
+      });
+      actions.appendChild(removeBtn);
+      return;
+    }
+
+    const available = this.collections.filter(
+      (c) => !c.highlightIds.includes(highlight.id)
+    );
+    if (available.length === 0) return;
+
+    const select = document.createElement("select");
+    select.className = "btn collection-add-select";
+    select.addEventListener("click", (e) => e.stopPropagation());
+
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Add to…";
+    select.appendChild(placeholder);
+
+    available.forEach((c) => {
+      const option = document.createElement("option");
+      option.value = c.id;
+      option.textContent = c.name;
+      select.appendChild(option);
+    });
+
+    select.addEventListener("change", () => {
+      if (select.value) {
+        this.handleAddToCollection(select.value, highlight.id);
+      }
+    });
+    actions.appendChild(select);
+  }
+
+  showNoteEditor(element, highlight) {
+    if (element.querySelector(".note-editor")) return;
+
+    const editor = document.createElement("div");
+    editor.className = "note-editor";
+    editor.addEventListener("click", (e) => e.stopPropagation());
+
+    const textarea = document.createElement("textarea");
+    textarea.className = "search-input note-input";
+    textarea.rows = 4;
+    textarea.maxLength = 5000;
+    textarea.placeholder = "Write a note (Markdown supported)";
+    textarea.value = highlight.note || "";
+
+    const buttons = document.createElement("div");
+    buttons.className = "highlight-actions";
+
+    const saveBtn = document.createElement("button");
+    saveBtn.className = "btn btn-primary";
+    saveBtn.textContent = "Save";
+    saveBtn.addEventListener("click", () =>
+      this.handleSaveNote(highlight.id, textarea.value)
+    );
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "btn";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", () => editor.remove());
+
+    buttons.appendChild(saveBtn);
+    buttons.appendChild(cancelBtn);
+    editor.appendChild(textarea);
+    editor.appendChild(buttons);
+
+    element.insertBefore(editor, element.querySelector(".highlight-meta"));
+    textarea.focus();
+  }
+
+  async handleSaveNote(id, note) {
+    try {
+      await HighlightStorage.update(id, { note: note.trim() });
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to save note:", error);
+      alert("Failed to save note");
+    }
+  }
+
+  showTagEditor(element, highlight) {
+    if (element.querySelector(".tag-editor")) return;
+
+    const editor = document.createElement("div");
+    editor.className = "note-editor tag-editor";
+    editor.addEventListener("click", (e) => e.stopPropagation());
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "search-input";
+    input.placeholder = "Tags, comma separated";
+    input.value = (highlight.tags || []).join(", ");
+
+    const suggestions = document.createElement("div");
+    suggestions.className = "tag-suggestions";
+
+    const knownNames = this.knownTags.map((tag) => tag.name);
+    const renderSuggestions = () => {
+      suggestions.innerHTML = "";
+      TagUtils.suggest(knownNames, input.value).forEach((tag) => {
+        const chip = document.createElement("button");
+        chip.className = "tag-chip";
+        chip.textContent = tag;
+        chip.addEventListener("mousedown", (e) => {
+          // Keep focus in the input while picking a suggestion
+          e.preventDefault();
+          input.value = TagUtils.complete(input.value, tag);
+          renderSuggestions();
+        });
+        suggestions.appendChild(chip);
+      });
+    };
+
+    input.addEventListener("input", renderSuggestions);
+    input.addEventListener("keydown", (e) => {
+      const first = suggestions.querySelector(".tag-chip");
+      if (e.key === "Tab" && first && input.value.trim() !== "") {
+        e.preventDefault();
+        input.value = TagUtils.complete(input.value, first.textContent);
+        renderSuggestions();
+      } else if (e.key === "Enter") {
+        this.handleSaveTags(highlight.id, input.value);
+      }
+    });
+
+    const buttons = document.createElement("div");
+    buttons.className = "highlight-actions";
+
+    const saveBtn = document.createElement("button");
+    saveBtn.className = "btn btn-primary";
+    saveBtn.textContent = "Save";
+    saveBtn.addEventListener("click", () =>
+      this.handleSaveTags(highlight.id, input.value)
+    );
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "btn";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", () => editor.remove());
+
+    buttons.appendChild(saveBtn);
+    buttons.appendChild(cancelBtn);
+    editor.appendChild(input);
+    editor.appendChild(suggestions);
+    editor.appendChild(buttons);
+
+    element.insertBefore(editor, element.querySelector(".highlight-meta"));
+    input.focus();
+    renderSuggestions();
+  }
+
+  async handleSaveTags(id, value) {
+    try {
+      await HighlightStorage.update(id, { tags: TagUtils.parse(value) });
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to save tags:", error);
+      alert("Failed to save tags");
+    }
+  }
+
   formatDate(timestamp) {
     const date = new Date(timestamp);
     const now = new Date();
@@ -221,15 +1678,128 @@ class PopupUI {
   }
 
   async handleDelete(id) {
-    if (confirm("Are you sure you want to delete this highlight?")) {
-      await HighlightStorage.delete(id);
+    try {
+      const undo = await HighlightStorage.delete(id);
       await this.loadHighlights();
+      this.showUndoToast(undo);
+    } catch (error) {
+      console.error("Delete failed:", error);
+      alert("Failed to delete highlight");
+    }
+  }
+
+  handleReattach(highlight) {
+    // The content script enters re-attach mode when it sees this parameter
+    const separator = highlight.url.includes("#") ? "&" : "#";
+    const url = `${highlight.url}${separator}reattach=${encodeURIComponent(
+      highlight.id
+    )}`;
+    chrome.tabs.create({ url });
+  }
+
+  async toggleExportPanel() {
+    const isOpen = this.exportPanel.style.display !== "none";
+    if (isOpen) {
+      this.exportPanel.style.display = "none";
+      return;
+    }
+
+    const pageHighlights = await this.getCurrentPageHighlights();
+    const options = {
+      all: `All highlights (${this.highlights.length})`,
+      results: `Current results (${this.filteredHighlights.length})`,
+      page: `This page (${pageHighlights.length})`,
+    };
+
+    Array.from(this.exportScope.options).forEach((option) => {
+      option.textContent = options[option.value];
+    });
+    this.exportScope.querySelector('option[value="page"]').disabled =
+      pageHighlights.length === 0;
+    if (this.exportScope.selectedOptions[0]?.disabled) {
+      this.exportScope.value = "all";
+    }
+
+    this.updateExportOptions();
+    this.exportPanel.style.display = "block";
+  }
+
+  // Column choices only apply to the plain CSV export. Encrypted backups
+  // always hold everything, so they ask for a passphrase instead of a scope
+  updateExportOptions() {
+    const format = this.exportFormat.value;
+    this.exportColumns.style.display = format === "csv" ? "flex" : "none";
+    this.exportPassphrase.style.display =
+      format === "encrypted" ? "flex" : "none";
+    this.exportScope.closest("label").style.display =
+      format === "encrypted" ? "none" : "flex";
+  }
+
+  // Highlights saved on the page open in the active tab
+  async getCurrentPageHighlights() {
+    try {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (!tab || !tab.url) return [];
+
+      const withoutHash = tab.url.split("#")[0];
+      return this.highlights.filter(
+        (h) => h.url === tab.url || h.url === withoutHash
+      );
+    } catch (error) {
+      console.error("Failed to get the current tab:", error);
+      return [];
     }
   }
 
   async handleExport() {
+    const options = { format: this.exportFormat.value };
+
+    if (options.format === "csv") {
+      options.columns = Array.from(
+        this.exportColumns.querySelectorAll("input:checked")
+      ).map((input) => input.value);
+      if (options.columns.length === 0) {
+        alert("Choose at least one column to export");
+        return;
+      }
+    }
+
+    if (options.format === "encrypted") {
+      const passphrase = this.exportPassphraseInput.value;
+      if (passphrase.length < 8) {
+        alert("Use a passphrase of at least 8 characters");
+        return;
+      }
+      if (passphrase !== this.exportPassphraseConfirm.value) {
+        alert("The passphrases don't match");
+        return;
+      }
+      options.passphrase = passphrase;
+      options.includeSummaries = this.exportSummaries.checked;
+    }
+
+    // Encrypted backups always hold everything
+    const scope =
+      options.format === "encrypted" ? "all" : this.exportScope.value;
+
+    if (scope === "results") {
+      options.highlightIds = this.filteredHighlights.map((h) => h.id);
+      options.title = "Highlights";
+    } else if (scope === "page") {
+      const [first] = await this.getCurrentPageHighlights();
+      if (!first) return;
+      options.url = first.url;
+      options.title = first.title || first.url;
+    }
+
     try {
-      await HighlightStorage.export();
+      await HighlightStorage.export(options);
+      this.exportPanel.style.display = "none";
+      this.exportPassphraseInput.value = "";
+      this.exportPassphraseConfirm.value = "";
     } catch (error) {
       console.error("Export failed:", error);
       alert("Failed to export highlights");
@@ -244,27 +1814,294 @@ class PopupUI {
     const file = event.target.files[0];
     if (!file) return;
 
+    const name = file.name.toLowerCase();
+    const format = name.endsWith(".csv")
+      ? "readwise"
+      : name.endsWith(".txt")
+      ? "kindle"
+      : undefined;
+
     try {
-      await HighlightStorage.import(file);
-      await this.loadHighlights();
-      alert("Highlights imported successfully!");
+      const data = format
+        ? await file.text()
+        : await HighlightStorage.readImportFile(file);
+      if (!format && HighlightStorage.isEncryptedBackup(data)) {
+        this.showUnlock(data);
+      } else {
+        const preview = await HighlightStorage.previewImport(data, format);
+        this.showImportPreview(data, preview, format);
+      }
     } catch (error) {
       console.error("Import failed:", error);
-      alert("Failed to import highlights. Please check the file format.");
+      alert(
+        `Failed to import highlights. Please check the file format.\n\n${error.message}`
+      );
     }
 
     // Reset file input
     event.target.value = "";
   }
 
+  // Ask for the passphrase of an encrypted backup before previewing it
+  showUnlock(backup) {
+    this.pendingBackup = backup;
+    this.unlockPassphrase.value = "";
+    this.unlockError.style.display = "none";
+    this.unlockPanel.style.display = "block";
+    this.unlockPassphrase.focus();
+  }
+
+  async handleUnlockBackup() {
+    if (!this.pendingBackup) return;
+
+    try {
+      const data = await HighlightStorage.decryptBackup(
+        this.pendingBackup,
+        this.unlockPassphrase.value
+      );
+      const preview = await HighlightStorage.previewImport(data);
+      this.closeUnlock();
+      this.showImportPreview(data, preview);
+    } catch (error) {
+      console.error("Failed to open backup:", error);
+      this.unlockError.textContent =
+        error.code === "WRONG_PASSPHRASE"
+          ? "Wrong passphrase. Check it and try again."
+          : error.message;
+      this.unlockError.style.display = "block";
+      this.unlockPassphrase.select();
+    }
+  }
+
+  closeUnlock() {
+    this.pendingBackup = null;
+    this.unlockPassphrase.value = "";
+    this.unlockPanel.style.display = "none";
+  }
+
+  // Show what the import will add before anything is written
+  showImportPreview(data, preview, format) {
+    this.pendingImport = { data, preview, format };
+
+    const plural = (count, word) => `${count} ${word}${count !== 1 ? "s" : ""}`;
+    this.importSummary.textContent = [
+      plural(preview.added, "new highlight"),
+      `${plural(preview.duplicates, "duplicate")} (skipped)`,
+      plural(preview.conflicts.length, "conflict"),
+      `${preview.invalid.length} invalid`,
+      ...(preview.replaced > 0
+        ? [`${plural(preview.replaced, "older version")} replaced`]
+        : []),
+      ...(preview.collections > 0
+        ? [plural(preview.collections, "collection")]
+        : []),
+    ].join(" · ");
+
+    this.renderImportConflicts(preview.conflicts);
+    this.renderImportInvalid(preview.invalid);
+
+    this.mergeImportBtn.disabled =
+      preview.added === 0 &&
+      preview.conflicts.length === 0 &&
+      preview.replaced === 0;
+    // CSV and Kindle files only add to the library
+    this.replaceImportBtn.style.display = format ? "none" : "";
+    this.importPanel.style.display = "block";
+  }
+
+  renderImportConflicts(conflicts) {
+    this.importConflicts.innerHTML = "";
+    if (conflicts.length === 0) return;
+
+    const header = document.createElement("div");
+    header.className = "import-conflicts-header";
+
+    const title = document.createElement("span");
+    title.textContent = "Conflicts";
+    header.appendChild(title);
+
+    [
+      { text: "Merge all", value: "merge" },
+      { text: "Keep all mine", value: "mine" },
+      { text: "Keep all theirs", value: "theirs" },
+    ].forEach(({ text, value }) => {
+      const button = document.createElement("button");
+      button.className = "btn";
+      button.textContent = text;
+      button.addEventListener("click", () => {
+        this.importConflicts
+          .querySelectorAll(`input[value="${value}"]`)
+          .forEach((input) => {
+            input.checked = true;
+          });
+      });
+      header.appendChild(button);
+    });
+
+    this.importConflicts.appendChild(header);
+
+    conflicts.forEach((conflict, index) => {
+      const row = document.createElement("div");
+      row.className = "import-conflict";
+      row.dataset.id = conflict.id;
+
+      const source = document.createElement("div");
+      source.className = "import-conflict-source";
+      source.textContent = `${
+        conflict.mine.title || conflict.mine.url
+      } · differs in ${conflict.fields.join(", ")}`;
+      row.appendChild(source);
+
+      // Merging takes the most recent edit of each field
+      [
+        { label: "Merge", value: "merge", highlight: conflict.merged },
+        { label: "Keep mine", value: "mine", highlight: conflict.mine },
+        { label: "Keep theirs", value: "theirs", highlight: conflict.theirs },
+      ].forEach(({ label, value, highlight }) => {
+        const option = document.createElement("label");
+        option.className = "import-conflict-option";
+
+        const input = document.createElement("input");
+        input.type = "radio";
+        input.name = `import-conflict-${index}`;
+        input.value = value;
+        input.checked = value === "merge";
+
+        const text = document.createElement("span");
+        text.textContent = `${label}: ${this.describeImportVersion(
+          highlight,
+          conflict.fields
+        )}`;
+
+        option.appendChild(input);
+        option.appendChild(text);
+        row.appendChild(option);
+      });
+
+      this.importConflicts.appendChild(row);
+    });
+  }
+
+  // Show the parts of a version that differ from the other one
+  describeImportVersion(highlight, fields) {
+    const parts = [`"${this.truncate(highlight.text, 80)}"`];
+    if (fields.includes("note")) {
+      parts.push(
+        highlight.note
+          ? `note "${this.truncate(highlight.note, 60)}"`
+          : "no note"
+      );
+    }
+    if (fields.includes("tags")) {
+      parts.push(
+        highlight.tags.length > 0
+          ? highlight.tags.map((tag) => `#${tag}`).join(" ")
+          : "no tags"
+      );
+    }
+    if (fields.includes("color")) {
+      parts.push(HighlightColors.get(highlight.color).name);
+    }
+    if (fields.includes("url")) {
+      parts.push(highlight.url);
+    }
+    return parts.join(" · ");
+  }
+
+  truncate(text, length) {
+    const value = String(text || "");
+    return value.length > length ? `${value.substring(0, length)}…` : value;
+  }
+
+  renderImportInvalid(invalid) {
+    this.importInvalid.innerHTML = "";
+    if (invalid.length === 0) return;
+
+    const list = document.createElement("ul");
+    invalid.slice(0, 20).forEach((item) => {
+      const entry = document.createElement("li");
+      const record =
+        item.index !== undefined ? `Record ${item.index + 1}: ` : "";
+      entry.textContent = item.text
+        ? `${record}${item.reason} ("${this.truncate(item.text, 60)}")`
+        : `${record}${item.reason}`;
+      list.appendChild(entry);
+    });
+    if (invalid.length > 20) {
+      const more = document.createElement("li");
+      more.textContent = `…and ${invalid.length - 20} more`;
+      list.appendChild(more);
+    }
+
+    this.importInvalid.appendChild(list);
+  }
+
+  async confirmImport(mode) {
+    if (!this.pendingImport) return;
+
+    if (
+      mode === "replace" &&
+      !confirm(
+        "Replace your whole library with this file? Highlights that aren't in the file move to the trash."
+      )
+    ) {
+      return;
+    }
+
+    const resolutions = {};
+    this.importConflicts.querySelectorAll(".import-conflict").forEach((row) => {
+      const choice = row.querySelector("input:checked");
+      resolutions[row.dataset.id] = choice ? choice.value : "merge";
+    });
+
+    try {
+      const undo = await HighlightStorage.import(this.pendingImport.data, {
+        format: this.pendingImport.format,
+        mode,
+        resolutions,
+      });
+      this.closeImport();
+      await this.loadHighlights();
+      this.showUndoToast(undo);
+      this.reportSkipped(undo.skipped);
+    } catch (error) {
+      console.error("Import failed:", error);
+      alert("Failed to import highlights. Please check the file format.");
+    }
+  }
+
+  // Replacing the library skips invalid records; say how many were lost
+  reportSkipped(skipped) {
+    if (!skipped) return;
+
+    alert(
+      `${skipped} invalid record${
+        skipped !== 1 ? "s" : ""
+      } could not be restored and ${skipped !== 1 ? "were" : "was"} skipped.`
+    );
+  }
+
+  closeImport() {
+    this.pendingImport = null;
+    this.importPanel.style.display = "none";
+    this.importConflicts.innerHTML = "";
+    this.importInvalid.innerHTML = "";
+  }
+
   async handleClearAll() {
     if (
       confirm(
-        "Are you sure you want to delete all highlights? This action cannot be undone."
+        "Move all highlights to the trash? You can restore them from the Trash."
       )
     ) {
-      await HighlightStorage.clearAll();
-      await this.loadHighlights();
+      try {
+        const undo = await HighlightStorage.clearAll();
+        await this.loadHighlights();
+        this.showUndoToast(undo);
+      } catch (error) {
+        console.error("Clear all failed:", error);
+        alert("Failed to clear highlights");
+      }
     }
   }
 }
@@ -0,0 +1,58 @@
+// Highlight color palette
+// Shared by the content script, popup and background service worker
+
+class HighlightColors {
+  static DEFAULT_COLOR = "yellow";
+
+  static PALETTE = [
+    { id: "yellow", name: "Yellow", swatch: "#fde047" },
+    { id: "green", name: "Green", swatch: "#86efac" },
+    { id: "blue", name: "Blue", swatch: "#93c5fd" },
+    { id: "pink", name: "Pink", swatch: "#f9a8d4" },
+    { id: "purple", name: "Purple", swatch: "#c4b5fd" },
+    { id: "orange", name: "Orange", swatch: "#fdba74" },
+  ];
+
+  /**
+   * Check if a color id is part of the palette
+   */
+  static isValid(colorId) {
+    return this.PALETTE.some((color) => color.id === colorId);
+  }
+
+  /**
+   * Return a palette color id, falling back to the default color
+   */
+  static normalize(colorId) {
+    return this.isValid(colorId) ? colorId : this.DEFAULT_COLOR;
+  }
+
+  /**
+   * Get a palette entry by id
+   */
+  static get(colorId) {
+    const id = this.normalize(colorId);
+    return this.PALETTE.find((color) => color.id === id);
+  }
+
+  /**
+   * Get palette entries merged with user-defined labels
+   */
+  static withLabels(labels = {}) {
+    return this.PALETTE.map((color) => ({
+      ...color,
+      label: (labels && labels[color.id]) || "",
+    }));
+  }
+
+  /**
+   * Display name for a color, preferring the user's label
+   */
+  static getDisplayName(colorId, labels = {}) {
+    const color = this.get(colorId);
+    return (labels && labels[color.id]) || color.name;
+  }
+}
+
+// Make HighlightColors globally available (window or service worker)
+self.HighlightColors = HighlightColors;
@@ -0,0 +1,91 @@
+// Minimal Markdown renderer for highlight notes
+// Shared by the content script and popup. Output is built from escaped text,
+// so it is safe to assign to innerHTML.
+
+class MarkdownRenderer {
+  /**
+   * Escape text for use in HTML
+   */
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Render inline Markdown: code, bold, italic and links
+   */
+  static renderInline(text) {
+    const codeSpans = [];
+
+    // Pull code spans out first so their content isn't formatted
+    let html = this.escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+      codeSpans.push(`<code>${code}</code>`);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+      .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+      .replace(/__([^_]+)__/g, "<strong>$1</strong>")
+      .replace(/\*([^*]+)\*/g, "<em>$1</em>")
+      .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, "$1<em>$2</em>")
+      .replace(
+        /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g,
+        '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>'
+      );
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, i) => codeSpans[i]);
+  }
+
+  /**
+   * Render a note to HTML with paragraphs, bullet lists and line breaks
+   */
+  static toHtml(markdown) {
+    if (!markdown) {
+      return "";
+    }
+
+    const blocks = String(markdown)
+      .replace(/\r\n/g, "\n")
+      .split(/\n{2,}/);
+
+    return blocks
+      .map((block) => {
+        const lines = block.split("\n").filter((line) => line.trim() !== "");
+        if (lines.length === 0) {
+          return "";
+        }
+
+        if (lines.every((line) => /^\s*[-*]\s+/.test(line))) {
+          const items = lines
+            .map((line) => line.replace(/^\s*[-*]\s+/, ""))
+            .map((line) => `<li>${this.renderInline(line)}</li>`)
+            .join("");
+          return `<ul>${items}</ul>`;
+        }
+
+        const paragraph = lines
+          .map((line) => this.renderInline(line))
+          .join("<br>");
+        return `<p>${paragraph}</p>`;
+      })
+      .join("");
+  }
+
+  /**
+   * Strip Markdown syntax for plain-text previews and search
+   */
+  static toPlainText(markdown) {
+    return String(markdown || "")
+      .replace(/\[([^\]]+)\]\([^)]+\)/g, "$1")
+      .replace(/[*_`]/g, "")
+      .replace(/^\s*[-*]\s+/gm, "")
+      .trim();
+  }
+}
+
+// Make MarkdownRenderer globally available
+self.MarkdownRenderer = MarkdownRenderer;
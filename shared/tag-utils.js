@@ -0,0 +1,103 @@
+// Tag parsing, normalization and suggestions
+// Shared by the content script, popup and background service worker
+
+class TagUtils {
+  static MAX_TAGS = 20;
+  static MAX_TAG_LENGTH = 40;
+
+  /**
+   * Clean a single tag: trim, collapse whitespace, drop leading "#"
+   */
+  static normalizeTag(tag) {
+    return String(tag || "")
+      .trim()
+      .replace(/^#+/, "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .substring(0, this.MAX_TAG_LENGTH);
+  }
+
+  /**
+   * Normalize a list of tags, removing empties and case-insensitive duplicates
+   */
+  static normalize(tags) {
+    if (!Array.isArray(tags)) {
+      return [];
+    }
+
+    const seen = new Set();
+    const result = [];
+
+    tags.forEach((tag) => {
+      const clean = this.normalizeTag(tag);
+      const key = clean.toLowerCase();
+      if (clean && !seen.has(key)) {
+        seen.add(key);
+        result.push(clean);
+      }
+    });
+
+    return result.slice(0, this.MAX_TAGS);
+  }
+
+  /**
+   * Parse comma separated tag input
+   */
+  static parse(input) {
+    return this.normalize(String(input || "").split(","));
+  }
+
+  /**
+   * Check if two tags are the same, ignoring case
+   */
+  static equals(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+  }
+
+  /**
+   * Count tag usage across highlights, most used first
+   */
+  static collect(highlights) {
+    const counts = new Map();
+
+    highlights.forEach((highlight) => {
+      (highlight.tags || []).forEach((tag) => {
+        const key = tag.toLowerCase();
+        const entry = counts.get(key) || { name: tag, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+    });
+
+    return Array.from(counts.values()).sort(
+      (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * Suggest existing tags for the last, partially typed tag in the input
+   */
+  static suggest(knownTags, input, limit = 6) {
+    const parts = String(input || "").split(",");
+    const partial = this.normalizeTag(parts.pop()).toLowerCase();
+    const entered = this.normalize(parts).map((tag) => tag.toLowerCase());
+
+    return knownTags
+      .filter((tag) => !entered.includes(tag.toLowerCase()))
+      .filter((tag) => !partial || tag.toLowerCase().startsWith(partial))
+      .slice(0, limit);
+  }
+
+  /**
+   * Replace the partially typed tag in the input with a suggestion
+   */
+  static complete(input, tag) {
+    const parts = String(input || "").split(",");
+    parts.pop();
+    parts.push(` ${tag}`);
+    return parts.join(",").replace(/^\s+/, "") + ", ";
+  }
+}
+
+// Make TagUtils globally available (window or service worker)
+self.TagUtils = TagUtils;
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+// Tests for the highlight merge rules (background/utils/highlight-merge.js)
+//
+// Usage: node --test test/
+//    or: node test/highlight-merge.test.js
+//
+// Needs Node 18 or later and nothing else: the merge rules don't touch the
+// extension APIs
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const HighlightMerge = require("../background/utils/highlight-merge.js");
+
+const clock = (at, by) => ({ at, by });
+
+function highlight(fields = {}) {
+  return {
+    id: "h1",
+    text: "Quoted text",
+    url: "https://example.com/",
+    timestamp: 1000,
+    note: "",
+    tags: [],
+    color: "yellow",
+    selectors: [],
+    ...fields,
+  };
+}
+
+test("compare orders clocks by time, then by device", () => {
+  assert.ok(HighlightMerge.compare(clock(1, "b"), clock(2, "a")) < 0);
+  assert.ok(HighlightMerge.compare(clock(2, "a"), clock(2, "b")) < 0);
+  assert.ok(HighlightMerge.compare(clock(2, "b"), clock(2, "a")) > 0);
+  assert.equal(HighlightMerge.compare(clock(2, "a"), clock(2, "a")), 0);
+  // A missing clock is older than any other
+  assert.ok(HighlightMerge.compare(null, clock(0, "a")) < 0);
+});
+
+test("tick moves past the clock it follows, even when time is behind", () => {
+  const after = clock(5000, "other");
+  assert.deepEqual(HighlightMerge.tick(after, "me", 1000), clock(5001, "me"));
+  assert.deepEqual(HighlightMerge.tick(after, "me", 9000), clock(9000, "me"));
+});
+
+test("stamp gives changed groups a new clock and keeps the others", () => {
+  const previous = highlight({
+    note: "old",
+    revisions: { note: clock(10, "a"), tags: clock(20, "a") },
+  });
+  const next = highlight({ ...previous, note: "new" });
+
+  HighlightMerge.stamp(previous, next, { device: "b", now: 100 });
+
+  assert.deepEqual(next.revisions.note, clock(100, "b"));
+  assert.deepEqual(next.revisions.tags, clock(20, "a"));
+  assert.equal(next.revisions.color, undefined);
+});
+
+test("stamp keeps a newer clock that came with the version", () => {
+  const previous = highlight({
+    note: "old",
+    revisions: { note: clock(10, "a") },
+  });
+  const next = highlight({
+    note: "remote",
+    revisions: { note: clock(50, "c") },
+  });
+
+  HighlightMerge.stamp(previous, next, { device: "b", now: 100 });
+
+  assert.deepEqual(next.revisions.note, clock(50, "c"));
+});
+
+test("merge(a, b) equals merge(b, a)", () => {
+  const pairs = [
+    [
+      highlight({ note: "mine", revisions: { note: clock(30, "a") } }),
+      highlight({ tags: ["theirs"], revisions: { tags: clock(40, "b") } }),
+    ],
+    [
+      highlight({ note: "one", color: "green" }),
+      highlight({ note: "two", color: "blue" }),
+    ],
+    [
+      highlight({ note: "x", revisions: { note: clock(10, "a") } }),
+      highlight({ deletedAt: 99, revisions: { trash: clock(10, "b") } }),
+    ],
+  ];
+
+  pairs.forEach(([a, b]) => {
+    assert.deepEqual(HighlightMerge.merge(a, b), HighlightMerge.merge(b, a));
+  });
+});
+
+test("merge takes each group from the version that edited it last", () => {
+  const mine = highlight({
+    note: "my note",
+    tags: ["old"],
+    revisions: { note: clock(30, "a"), tags: clock(10, "a") },
+  });
+  const theirs = highlight({
+    note: "their note",
+    tags: ["new"],
+    revisions: { note: clock(20, "b"), tags: clock(40, "b") },
+  });
+
+  const merged = HighlightMerge.merge(mine, theirs);
+
+  assert.equal(merged.note, "my note");
+  assert.deepEqual(merged.tags, ["new"]);
+  assert.deepEqual(merged.revisions, {
+    note: clock(30, "a"),
+    tags: clock(40, "b"),
+  });
+});
+
+test("equal clocks are broken by the values, the same way in both orders", () => {
+  const same = { note: clock(10, "a") };
+  const a = highlight({ note: "apple", revisions: same });
+  const b = highlight({ note: "banana", revisions: same });
+
+  assert.equal(HighlightMerge.merge(a, b).note, "banana");
+  assert.equal(HighlightMerge.merge(b, a).note, "banana");
+});
+
+test("a tombstone wins over edits made before the delete", () => {
+  const edited = highlight({ note: "x", revisions: { note: clock(10, "a") } });
+  const tombstone = HighlightMerge.tombstone(edited, "b", 5);
+
+  assert.ok(HighlightMerge.compare(tombstone.clock, clock(10, "a")) > 0);
+  assert.equal(HighlightMerge.survives(edited, tombstone), false);
+});
+
+test("an edit made after the delete brings the highlight back", () => {
+  const before = highlight({ note: "x", revisions: { note: clock(10, "a") } });
+  const tombstone = HighlightMerge.tombstone(before, "b", 20);
+
+  // Another device edits its copy after the delete
+  const edited = highlight({ ...before, note: "y" });
+  HighlightMerge.stamp(before, edited, { device: "c", now: 30 });
+
+  assert.equal(HighlightMerge.survives(edited, tombstone), true);
+});
+
+test("writing a highlight again after its tombstone revives it", () => {
+  const tombstone = { id: "h1", clock: clock(50, "b") };
+  const restored = highlight();
+
+  HighlightMerge.stamp(null, restored, { device: "a", now: 10, tombstone });
+
+  assert.deepEqual(restored.revisions.trash, clock(51, "a"));
+  assert.equal(HighlightMerge.survives(restored, tombstone), true);
+});
+
+test("newerTombstone keeps the later delete", () => {
+  const early = { id: "h1", clock: clock(10, "a") };
+  const late = { id: "h1", clock: clock(20, "b") };
+
+  assert.equal(HighlightMerge.newerTombstone(early, late), late);
+  assert.equal(HighlightMerge.newerTombstone(late, early), late);
+  assert.equal(HighlightMerge.newerTombstone(null, early), early);
+});
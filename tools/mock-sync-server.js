@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// Minimal sync server implementing docs/sync-protocol.md, for local testing
+//
+// Usage: node tools/mock-sync-server.js [--port 8787] [--token secret]
+//                                       [--data sync-data.json] [--quiet]
+//
+// Then set the sync server URL in the extension options to
+// http://localhost:8787 (and the token, if one was given). Without --data
+// everything is kept in memory and lost when the server stops
+
+const http = require("http");
+const fs = require("fs");
+
+const options = parseArgs(process.argv.slice(2));
+const port = Number(options.port || 8787);
+const token = options.token || "";
+const dataFile = options.data || null;
+
+// Latest change per record: id -> { id, revision, record } or
+// { id, revision, deleted, deletedAt, clock }
+let revision = 0;
+const changes = new Map();
+loadData();
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return send(res, 401, { error: "Invalid token" });
+  }
+  if (url.pathname.replace(/\/+$/, "") !== "/changes") {
+    return send(res, 404, { error: "Not found" });
+  }
+
+  if (req.method === "GET") {
+    return handlePull(req, res, url);
+  }
+  if (req.method === "POST") {
+    return readBody(req)
+      .then((body) => handlePush(req, res, body))
+      .catch((error) => send(res, 400, { error: error.message }));
+  }
+  send(res, 405, { error: "Method not allowed" });
+});
+
+function handlePull(req, res, url) {
+  const since = Number(url.searchParams.get("since") || 0);
+  const limit = Math.max(1, Number(url.searchParams.get("limit")) || 500);
+
+  if (
+    since >= revision &&
+    req.headers["if-none-match"] === etag(String(revision))
+  ) {
+    res.writeHead(304, { ETag: etag(String(revision)) });
+    return res.end();
+  }
+
+  const newer = Array.from(changes.values())
+    .filter((change) => change.revision > since)
+    .sort((a, b) => a.revision - b.revision);
+  const page = newer.slice(0, limit);
+  const cursor = page.length > 0 ? page[page.length - 1].revision : revision;
+
+  send(res, 200, {
+    cursor: String(Math.max(cursor, since)),
+    more: newer.length > page.length,
+    changes: page,
+  });
+}
+
+function handlePush(req, res, body) {
+  if (req.headers["if-match"] !== etag(String(revision))) {
+    return send(res, 412, { cursor: String(revision) });
+  }
+  if (!body || !Array.isArray(body.changes)) {
+    return send(res, 400, { error: "Expected { changes: [...] }" });
+  }
+
+  const invalid = body.changes.find(
+    (change) =>
+      !change ||
+      typeof change.id !== "string" ||
+      (!change.deleted && (!change.record || change.record.id !== change.id))
+  );
+  if (invalid) {
+    return send(res, 400, { error: "Each change needs an id and a record" });
+  }
+
+  body.changes.forEach((change) => {
+    revision++;
+    changes.set(
+      change.id,
+      change.deleted
+        ? {
+            id: change.id,
+            revision,
+            deleted: true,
+            deletedAt: change.deletedAt || Date.now(),
+            clock: change.clock,
+          }
+        : { id: change.id, revision, record: change.record }
+    );
+  });
+  saveData();
+
+  send(res, 200, {
+    cursor: String(revision),
+    accepted: body.changes.length,
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    ETag: etag(String(revision)),
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      text += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(text ? JSON.parse(text) : null);
+      } catch (error) {
+        reject(new Error("Body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function etag(cursor) {
+  return `"${cursor}"`;
+}
+
+function loadData() {
+  if (!dataFile || !fs.existsSync(dataFile)) return;
+
+  const data = JSON.parse(fs.readFileSync(dataFile, "utf8"));
+  revision = data.revision || 0;
+  (data.changes || []).forEach((change) => changes.set(change.id, change));
+}
+
+function saveData() {
+  if (!dataFile) return;
+
+  fs.writeFileSync(
+    dataFile,
+    JSON.stringify({ revision, changes: Array.from(changes.values()) })
+  );
+}
+
+function parseArgs(args) {
+  const parsed = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--(\w+)(?:=(.*))?$/);
+    if (!match) continue;
+    if (match[2] !== undefined) {
+      parsed[match[1]] = match[2];
+    } else if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+      parsed[match[1]] = args[++i];
+    } else {
+      parsed[match[1]] = true;
+    }
+  }
+  return parsed;
+}
+
+function log(message) {
+  if (!options.quiet) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+  }
+}
+
+server.listen(port, () => {
+  console.log(`Mock sync server listening on http://localhost:${port}`);
+});